@@ -0,0 +1,37 @@
+// scripts/api-keys.js
+// Usage:
+//   node scripts/api-keys.js create <tenantId> [--name <name>] [--rate-limit <per minute>] [--daily-quota <jobs>]
+//   node scripts/api-keys.js revoke <apiKey>
+import { parseArgs } from 'util';
+import { createApiKey, revokeApiKey } from '../src/services/authService.js';
+import { closeRedis } from '../src/utils/redis.js';
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    name: { type: 'string' },
+    'rate-limit': { type: 'string' },
+    'daily-quota': { type: 'string' }
+  }
+});
+const [command, arg] = positionals;
+
+try {
+  if (command === 'create' && arg) {
+    const key = await createApiKey({
+      tenantId: arg,
+      name: values.name,
+      rateLimit: values['rate-limit'] ? parseInt(values['rate-limit'], 10) : undefined,
+      dailyQuota: values['daily-quota'] ? parseInt(values['daily-quota'], 10) : undefined
+    });
+    console.log(JSON.stringify(key, null, 2));
+    console.log('Store the apiKey now; it cannot be shown again.');
+  } else if (command === 'revoke' && arg) {
+    console.log(await revokeApiKey(arg) ? 'API key revoked' : 'API key not found');
+  } else {
+    console.error('Usage: node scripts/api-keys.js create <tenantId> [--name] [--rate-limit] [--daily-quota] | revoke <apiKey>');
+    process.exitCode = 1;
+  }
+} finally {
+  await closeRedis();
+}
@@ -0,0 +1,57 @@
+// scripts/record-fixture.js
+// Usage:
+//   node scripts/record-fixture.js <scenario> --name <name> --context <context> [--mode pipeline|agentic]
+//     [--page-concurrency <n>] [--crawl-depth <n> --crawl-pages <n>]
+// Runs one research job against the live web and OpenAI (OPENAI_API_KEY), and saves the pages it loaded,
+// the LLM replies and the result as test/fixtures/<scenario> for the offline tests to replay.
+import { parseArgs } from 'util';
+import { startHarness } from '../test/harness/index.js';
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    name: { type: 'string' },
+    context: { type: 'string' },
+    mode: { type: 'string' },
+    'page-concurrency': { type: 'string' },
+    'crawl-depth': { type: 'string' },
+    'crawl-pages': { type: 'string' }
+  }
+});
+const [scenario] = positionals;
+
+if (!scenario || !values.name || !values.context) {
+  console.error('Usage: node scripts/record-fixture.js <scenario> --name <name> --context <context> [--mode pipeline|agentic] [--page-concurrency <n>] [--crawl-depth <n> --crawl-pages <n>]');
+  process.exit(1);
+}
+
+const harness = await startHarness({ record: true });
+if (harness.skip) {
+  console.error(`Cannot record: ${harness.skip}`);
+  process.exit(1);
+}
+
+try {
+  const profile = {
+    name: values.name,
+    context: values.context,
+    ...(values.mode && { mode: values.mode }),
+    ...(values['page-concurrency'] && { pageConcurrency: parseInt(values['page-concurrency'], 10) })
+  };
+  // Crawling is off in the harness unless the scenario turns it on
+  const crawl = values['crawl-depth'] && {
+    maxDepth: parseInt(values['crawl-depth'], 10),
+    maxPages: parseInt(values['crawl-pages'] || '4', 10)
+  };
+  const run = await harness.run(scenario, { profile, crawl: crawl || undefined });
+  if (run.error) {
+    console.error(`Research failed; the scenario was not saved: ${run.error.message}`);
+    process.exitCode = 1;
+  } else {
+    await harness.save(run.snapshot);
+    console.log(`Recorded test/fixtures/${scenario}: ${run.result.sources.length} sources, events ${run.events.join(', ')}`);
+    console.log('Check expected.json before committing; it is exactly what this run produced.');
+  }
+} finally {
+  await harness.close();
+}
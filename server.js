@@ -1,11 +1,50 @@
 import express from "express";
 import Queue from "bull";
 import rateLimit from "express-rate-limit";
-import { StagehandConfig, serverConfig } from "./src/config/index.js";
-import { Stagehand } from "@browserbasehq/stagehand";
+import { serverConfig, batchConfig, researchConfig, jobConfig, archiveConfig, StagehandConfig } from "./src/config/index.js";
 import { z } from "zod";
 import { debugLog } from "./src/utils/logger.js";
-import conductResearch from "./src/services/researchService.js";
+import { createResearchProcessor } from "./src/services/researchJobService.js";
+import { runBrowserTask } from "./src/services/browserService.js";
+import { openBrowser } from "./src/services/browserBackendService.js";
+import {
+  createBatch,
+  recordBatchJobResult,
+  getBatchStatus,
+  getBatchResults,
+  formatBatchResults
+} from "./src/services/batchService.js";
+import {
+  enqueueWebhook,
+  deliverWebhook,
+  getWebhookAttempts,
+  replayWebhook
+} from "./src/services/webhookService.js";
+import {
+  createProgressReporter,
+  getProgressHistory,
+  subscribeToProgress,
+  isTerminalEvent
+} from "./src/services/progressService.js";
+import { requireApiKey, tenantRateLimiter, enforceDailyQuota, monitorAuth } from "./src/middleware/auth.js";
+import { getChallenge, resolveChallenge } from "./src/services/challengeService.js";
+import { loadCheckpoint } from "./src/services/checkpointService.js";
+import { requestCancellation } from "./src/services/cancellationService.js";
+import {
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  resolveTemplate
+} from "./src/services/templateService.js";
+import {
+  isArchiveEnabled,
+  listDossiers,
+  getDossier,
+  getRun,
+  compareRuns
+} from "./src/services/archiveService.js";
+import { parseCsv } from "./src/utils/csv.js";
 import pkg from '@bull-monitor/express';
 import rootPkg from '@bull-monitor/root/dist/bull-adapter.js';
 
@@ -18,12 +57,24 @@ app.use(express.json());
 
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 10000, // 15 minutes
+  windowMs: 15 * 60 * 1000, // 15 minutes
   max: 3000,
   message: { error: "Too many requests, please try again later" }
 });
 
-app.use("/research", limiter);
+// The archive endpoints need a database
+function requireArchive(req, res, next) {
+  if (!isArchiveEnabled()) {
+    return res.status(503).json({ error: "The research archive is not configured; set DATABASE_URL" });
+  }
+  next();
+}
+
+// Global IP limiter first, then API key authentication and the per-key limiter
+app.use("/research", limiter, requireApiKey, tenantRateLimiter);
+app.use("/browser", limiter, requireApiKey, tenantRateLimiter);
+app.use("/templates", limiter, requireApiKey, tenantRateLimiter);
+app.use("/archive", limiter, requireApiKey, tenantRateLimiter, requireArchive);
 
 // Initialize research queue
 const researchQueue = new Queue("research-queue", serverConfig.redisUrl, {
@@ -39,58 +90,274 @@ const researchQueue = new Queue("research-queue", serverConfig.redisUrl, {
   }
 });
 
+// Initialize one-off browser task queue
+const browserQueue = new Queue("browser-queue", serverConfig.redisUrl, {
+  defaultJobOptions: {
+    timeout: 300000, // 5 minute timeout
+    attempts: 2,
+    backoff: {
+      type: "fixed",
+      delay: 5000
+    },
+    removeOnComplete: 100,
+    removeOnFail: 100
+  }
+});
+
+// Initialize webhook delivery queue; retries and backoff are set per delivery
+const webhookQueue = new Queue("webhook-queue", serverConfig.redisUrl);
+
+// Stagehand cannot use local models, so page extraction needs an OpenAI or Anthropic key
+if (!StagehandConfig.modelClientOptions.apiKey) {
+  debugLog("config:stagehand-key-missing", "No API key for Stagehand's extraction model; set OPENAI_API_KEY or ANTHROPIC_API_KEY", {
+    model: StagehandConfig.modelName
+  });
+}
+
 async function setupMonitor() {
+  const auth = monitorAuth();
+  if (!auth) {
+    debugLog("monitor:disabled", "MONITOR_USERNAME/MONITOR_PASSWORD not set (or left as the example placeholder); the /monitor dashboard is disabled");
+    return;
+  }
+
   const monitor = new BullMonitorExpress({
     queues: [
-      new BullAdapter(researchQueue)
+      new BullAdapter(researchQueue),
+      new BullAdapter(browserQueue),
+      new BullAdapter(webhookQueue)
     ]
   });
   await monitor.init();
-  app.use('/monitor', monitor.router);
+  app.use('/monitor', auth, monitor.router);
 }
 // Initialize the monitor
 setupMonitor().catch(console.error);
 
 
+// Per-job browser settings; anything left out falls back to the BROWSER_* environment settings
+const BrowserOptionsSchema = z.object({
+  backend: z.enum(["browserbase", "local"]).optional(),
+  // The options below only apply to the local backend
+  headless: z.boolean().optional(),
+  proxy: z.string().regex(/^(https?|socks5?):\/\/\S+$/, "must be an http(s):// or socks5:// URL").optional(),
+  userAgent: z.string().min(1).optional(),
+  viewport: z.object({
+    width: z.number().int().min(320).max(3840),
+    height: z.number().int().min(240).max(2160)
+  }).optional()
+});
+
+const timeoutSchema = z.coerce.number().int().min(30).max(jobConfig.maxTimeout / 1000);
+
 // Profile validation schema
 const ProfileSchema = z.object({
   name: z.string().min(1),
-  context: z.string().min(1)
+  context: z.string().min(1),
+  mode: z.enum(["pipeline", "agentic"]).optional(),
+  maxSteps: z.coerce.number().int().min(1).max(50).optional(),
+  // Pages a pipeline job works on at once
+  pageConcurrency: z.coerce.number().int().min(1).max(researchConfig.maxPageConcurrency).optional(),
+  callbackUrl: z.string().url().regex(/^https?:\/\//i, "callbackUrl must be an http(s) URL").optional(),
+  callbackSecret: z.string().min(16).optional(),
+  // Cache controls: maxAge (seconds) bounds how old a cached result may be; forceRefresh skips the cache
+  maxAge: z.coerce.number().int().min(0).optional(),
+  forceRefresh: z.union([z.boolean(), z.enum(["true", "false"]).transform(value => value === "true")]).optional(),
+  // Output shape: a named research template, or an inline JSON Schema
+  template: z.string().min(1).optional(),
+  schema: z.record(z.any()).optional(),
+  // Link to a company dossier: a company name or domain to research alongside, or an existing company job
+  company: z.string().trim().min(1).optional(),
+  companyJobId: z.coerce.string().optional(),
+  // Seconds the job may run before it stops and returns what it has found
+  timeout: timeoutSchema.optional(),
+  browser: BrowserOptionsSchema.optional()
+});
+
+// Company domains are stored bare so "https://www.acme.com/" and "acme.com" share a cache entry
+const domainSchema = z.string().trim().min(3)
+  .transform(value => value.toLowerCase().replace(/^[a-z]+:\/\//, "").replace(/^www\./, "").split("/")[0])
+  .refine(value => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value), "must be a domain such as acme.com");
+
+// Company research validation schema; at least one of name and domain is required
+const CompanySchema = z.object({
+  name: z.string().trim().min(1).optional(),
+  domain: domainSchema.optional(),
+  callbackUrl: z.string().url().regex(/^https?:\/\//i, "callbackUrl must be an http(s) URL").optional(),
+  callbackSecret: z.string().min(16).optional(),
+  maxAge: z.coerce.number().int().min(0).optional(),
+  forceRefresh: z.union([z.boolean(), z.enum(["true", "false"]).transform(value => value === "true")]).optional(),
+  timeout: timeoutSchema.optional(),
+  browser: BrowserOptionsSchema.optional()
+}).refine(company => company.name || company.domain, "name or domain is required");
+
+// Batch validation schema; CSV uploads pass concurrency as a query parameter
+const BatchSchema = z.object({
+  profiles: z.array(ProfileSchema).min(1).max(batchConfig.maxRows),
+  concurrency: z.coerce.number().int().min(1).max(batchConfig.maxConcurrency).optional()
+});
+
+const researchJobOptions = {
+  attempts: 3,
+  backoff: {
+    type: 'exponential',
+    delay: 2000
+  }
+};
+
+// Browser task validation schema
+const BrowserTaskSchema = z.object({
+  url: z.string().url(),
+  action: z.string().min(1).optional(),
+  extract: z.string().min(1).optional(),
+  browser: BrowserOptionsSchema.optional()
+});
+
+// Archive listing and search; q is a full-text query over each dossier's latest run
+const ArchiveQuerySchema = z.object({
+  q: z.string().trim().min(1).optional(),
+  type: z.enum(["person", "company"]).optional(),
+  limit: z.coerce.number().int().min(1).max(archiveConfig.maxPageSize).default(20),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+// Runs to compare; by default the latest run and the one before it
+const CompareQuerySchema = z.object({
+  from: z.coerce.number().int().positive().optional(),
+  to: z.coerce.number().int().positive().optional()
+});
+
+// Operator response to a LinkedIn challenge: the PIN LinkedIn sent, or confirmation it was solved in the browser
+const ChallengeResponseSchema = z.union([
+  z.object({ pin: z.string().trim().min(4).max(12) }),
+  z.object({ solved: z.literal(true) })
+]);
+
+// Jobs carry the full resolved template rather than its name, so later template edits do not change queued jobs
+async function attachTemplate({ template, schema, ...profile }, tenantId) {
+  const resolved = await resolveTemplate({ template, schema }, tenantId);
+  return resolved ? { ...profile, template: resolved } : profile;
+}
+
+// A person's company field is read as a domain when it looks like one, otherwise as a name
+function parseCompanyField(value) {
+  const domain = domainSchema.safeParse(value);
+  return domain.success && !/\s/.test(value) ? { domain: domain.data } : { name: value };
+}
+
+// Checks a profile's company link without starting anything, so a rejected request is never charged.
+// A companyJobId must name one of the tenant's company jobs; it is returned as that job's id.
+async function checkCompanyLink(profile, tenantId) {
+  const { company, companyJobId } = profile;
+  if (company && companyJobId) {
+    throw new Error("Pass either company or companyJobId, not both");
+  }
+  if (!companyJobId) {
+    return profile;
+  }
+  const job = await researchQueue.getJob(companyJobId);
+  if (!job || job.data.tenantId !== tenantId || job.data.type !== "company") {
+    throw new Error(`Unknown company job "${companyJobId}"`);
+  }
+  return { ...profile, companyJobId: String(job.id) };
+}
+
+// The company job uses the same browser settings as the person job that started it
+const companyJobData = (company, profile) => ({
+  type: "company",
+  ...parseCompanyField(company),
+  ...(profile.browser && { browser: profile.browser })
 });
 
+// Resolves a checked profile's company field to a company job id, starting the company job
+async function linkCompanyJob({ company, ...profile }, tenantId) {
+  if (!company) {
+    return profile;
+  }
+  const job = await researchQueue.add({ ...companyJobData(company, profile), tenantId }, researchJobOptions);
+  return { ...profile, companyJobId: String(job.id) };
+}
+
+// Gives a batch's checked rows a companyJob index into the company jobs the batch will start, one per
+// distinct company, so createBatch schedules them under the batch's concurrency limit
+function planCompanyJobs(profiles) {
+  const companyJobs = [];
+  const indexes = new Map();
+  const rows = profiles.map(({ company, ...profile }) => {
+    if (!company) {
+      return profile;
+    }
+    const key = company.toLowerCase();
+    if (!indexes.has(key)) {
+      indexes.set(key, companyJobs.push(companyJobData(company, profile)) - 1);
+    }
+    return { ...profile, companyJob: indexes.get(key) };
+  });
+  return { rows, companyJobs };
+}
+
+// Company jobs started for a list of profiles, one per distinct company
+const companyJobCount = (profiles) => new Set(profiles.filter(profile => profile.company).map(profile => profile.company.toLowerCase())).size;
+
 // Research job processor
-researchQueue.process(async (job) => {
+researchQueue.process(createResearchProcessor());
+
+// Notify batches and callback URLs once a job completes or fails for the last time
+function notifyCallback(job, event, payload) {
+  if (!job.data.callbackUrl) return;
+  enqueueWebhook(webhookQueue, {
+    researchJobId: job.id,
+    tenantId: job.data.tenantId,
+    url: job.data.callbackUrl,
+    secret: job.data.callbackSecret,
+    event,
+    payload: { jobId: job.id, ...payload }
+  }).catch(console.error);
+}
+
+researchQueue.on("completed", (job, result) => {
+  if (job.data.batchId) {
+    recordBatchJobResult(researchQueue, job, { status: "completed", result }).catch(console.error);
+  }
+  notifyCallback(job, "research.completed", { status: "completed", result });
+});
+
+researchQueue.on("failed", (job, error) => {
+  if (job.attemptsMade < job.opts.attempts) return;
+  if (job.data.batchId) {
+    recordBatchJobResult(researchQueue, job, { status: "failed", error: error.message }).catch(console.error);
+  }
+  notifyCallback(job, "research.failed", { status: "failed", error: job.failedReason });
+});
+
+// Webhook delivery processor
+webhookQueue.process(deliverWebhook);
+
+// Browser task processor
+browserQueue.process(async (job) => {
   const startTime = performance.now();
-  let stagehand = null;
-  
+  let browser = null;
+
   try {
-    stagehand = new Stagehand(StagehandConfig);
-    await stagehand.init();
-    
+    const { browser: browserOptions, ...task } = job.data;
+    browser = await openBrowser(browserOptions);
+
     job.progress(10);
-    debugLog("research:start", "Starting research process", { profile: job.data });
+    debugLog("browser:job-start", "Starting browser task", { task, backend: browser.backend });
 
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error("Processing timeout reached")), 600000); // 10-minute limit
-    });
-    
-    const results = await Promise.race([
-      conductResearch(stagehand, job.data),
-      timeoutPromise
-    ]);
+    const result = await runBrowserTask(browser.stagehand, task);
 
     job.progress(100);
 
-    const duration = performance.now() - startTime;
-    debugLog("research:complete", "Research completed successfully", {
-      duration,
-      profile: job.data
+    debugLog("browser:job-complete", "Browser task completed successfully", {
+      duration: performance.now() - startTime,
+      task: job.data
     });
 
-    return results;
+    return result;
 
   } catch (error) {
-    debugLog("research:error", "Error in research process", {
+    debugLog("browser:job-error", "Error in browser task", {
       error: error.message,
       stack: error.stack,
       attempt: job.attemptsMade
@@ -98,29 +365,66 @@ researchQueue.process(async (job) => {
     throw error;
 
   } finally {
-    if (stagehand) {
-      await stagehand.close().catch(console.error);
+    if (browser) {
+      await browser.close().catch(console.error);
     }
   }
 });
 
+// Jobs belonging to other tenants are reported as missing rather than forbidden
+async function findTenantJob(queue, req) {
+  const job = await queue.getJob(req.params.jobId);
+  return job && job.data.tenantId === req.tenant.id ? job : null;
+}
+
+// Shared handler for job status polling; research jobs waiting on an operator report "needs-human"
+function jobStatusHandler(queue, { challenges = false } = {}) {
+  return async (req, res) => {
+    try {
+      const job = await findTenantJob(queue, req);
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+
+      const state = await job.getState();
+      const progress = job.progress();
+      const challenge = challenges && state === "active" ? await getChallenge(job.id, req.tenant.id) : null;
+      const needsHuman = challenge?.status === "pending";
+
+      res.json({
+        jobId: job.id,
+        status: needsHuman ? "needs-human" : state,
+        ...(needsHuman && { challenge }),
+        progress: progress,
+        result: job.returnvalue,
+        error: job.failedReason,
+        timestamp: {
+          created: job.timestamp,
+          started: job.processedOn,
+          finished: job.finishedOn
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
 // POST endpoint to start research
 app.post("/research", async (req, res) => {
   try {
-    const profile = ProfileSchema.parse(req.body);
-    
-    const job = await researchQueue.add(profile, {
-      attempts: 3,
-      backoff: {
-        type: 'exponential',
-        delay: 2000
-      }
-    });
+    const parsed = await checkCompanyLink(await attachTemplate(ProfileSchema.parse(req.body), req.tenant.id), req.tenant.id);
+    // Charged only once every check has passed
+    if (!await enforceDailyQuota(req, res, 1 + companyJobCount([parsed]))) return;
+
+    const profile = await linkCompanyJob(parsed, req.tenant.id);
+    const job = await researchQueue.add({ ...profile, tenantId: req.tenant.id }, researchJobOptions);
 
     res.status(202).json({
       jobId: job.id,
       status: "processing",
       statusUrl: `/research/${job.id}`,
+      ...(profile.companyJobId && { companyJobId: profile.companyJobId, companyStatusUrl: `/research/${profile.companyJobId}` }),
       estimatedTime: "5-15 minutes"
     });
 
@@ -135,37 +439,436 @@ app.post("/research", async (req, res) => {
   }
 });
 
+// POST endpoint to research a company by name or domain
+app.post("/research/company", async (req, res) => {
+  try {
+    const company = CompanySchema.parse(req.body);
+    if (!await enforceDailyQuota(req, res, 1)) return;
+
+    const job = await researchQueue.add({ type: "company", ...company, tenantId: req.tenant.id }, researchJobOptions);
+
+    res.status(202).json({
+      jobId: job.id,
+      status: "processing",
+      statusUrl: `/research/${job.id}`,
+      estimatedTime: "5-10 minutes"
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: error.errors
+      });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// POST endpoint to research a list of profiles, as a JSON array or a CSV upload
+app.post("/research/batch", express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), async (req, res) => {
+  try {
+    // Blank CSV cells mean "not set" rather than an empty value
+    const csvProfiles = () => parseCsv(req.body)
+      .map(row => Object.fromEntries(Object.entries(row).filter(([, value]) => value !== "")));
+    const input = typeof req.body === "string"
+      ? { profiles: csvProfiles(), concurrency: req.query.concurrency }
+      : Array.isArray(req.body) ? { profiles: req.body, concurrency: req.query.concurrency } : req.body;
+    const parsed = BatchSchema.parse(input);
+    // Every row is checked before anything is charged or queued
+    const checked = await Promise.all(parsed.profiles.map(async profile =>
+      checkCompanyLink(await attachTemplate(profile, req.tenant.id), req.tenant.id)));
+    const { concurrency } = parsed;
+    if (!await enforceDailyQuota(req, res, checked.length + companyJobCount(checked))) return;
+
+    const { rows, companyJobs } = planCompanyJobs(checked);
+    const batchId = await createBatch(researchQueue, rows, {
+      tenantId: req.tenant.id,
+      concurrency,
+      jobOptions: researchJobOptions,
+      companyJobs
+    });
+
+    res.status(202).json({
+      batchId,
+      status: "processing",
+      total: rows.length,
+      statusUrl: `/research/batch/${batchId}`,
+      resultsUrl: `/research/batch/${batchId}/results`
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: error.errors
+      });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET endpoint to check aggregate batch progress
+app.get("/research/batch/:batchId", async (req, res) => {
+  try {
+    const status = await getBatchStatus(req.params.batchId);
+    if (!status || status.tenantId !== req.tenant.id) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    res.json({ ...status, resultsUrl: `/research/batch/${status.batchId}/results` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to download batch results as CSV (default) or JSONL
+app.get("/research/batch/:batchId/results", async (req, res) => {
+  try {
+    const status = await getBatchStatus(req.params.batchId);
+    if (!status || status.tenantId !== req.tenant.id) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+
+    const format = req.query.format === "jsonl" ? "jsonl" : "csv";
+    const body = formatBatchResults(await getBatchResults(status.batchId), format);
+
+    res.type(format === "jsonl" ? "application/x-ndjson" : "text/csv");
+    res.attachment(`batch-${status.batchId}.${format}`);
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET endpoint to check research status
-app.get("/research/:jobId", async (req, res) => {
+app.get("/research/:jobId", jobStatusHandler(researchQueue, { challenges: true }));
+
+// GET endpoint streaming a job's progress events as Server-Sent Events
+app.get("/research/:jobId/events", async (req, res) => {
   try {
-    const job = await researchQueue.getJob(req.params.jobId);
+    const job = await findTenantJob(researchQueue, req);
     if (!job) {
       return res.status(404).json({ error: "Job not found" });
     }
 
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+
+    let lastSeq = parseInt(req.get("Last-Event-ID"), 10) || 0;
+    let closed = false;
+    let unsubscribe = null;
+    let heartbeat = null;
+
+    const close = async () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) await unsubscribe();
+      res.end();
+    };
+
+    const send = (event) => {
+      if (closed || event.seq <= lastSeq) return;
+      lastSeq = event.seq;
+      res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      if (isTerminalEvent(event)) close();
+    };
+
+    req.on("close", close);
+
+    // Subscribe before replaying history so nothing published in between is lost
+    let buffered = [];
+    unsubscribe = await subscribeToProgress(job.id, (event) => buffered ? buffered.push(event) : send(event));
+    const history = await getProgressHistory(job.id);
+    history.forEach(send);
+    buffered.forEach(send);
+    buffered = null;
+    if (closed) return;
+
     const state = await job.getState();
-    const progress = job.progress();
+    if (state === "completed" || state === "failed") {
+      res.write(`event: end\ndata: ${JSON.stringify({ status: state })}\n\n`);
+      return close();
+    }
 
-    res.json({
+    heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to inspect the LinkedIn challenge a job is waiting on
+app.get("/research/:jobId/challenge", async (req, res) => {
+  try {
+    const challenge = await getChallenge(req.params.jobId, req.tenant.id);
+    if (!challenge) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+    res.json(challenge);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST endpoint for an operator to submit a PIN or mark a challenge solved, resuming the job
+app.post("/research/:jobId/challenge", async (req, res) => {
+  try {
+    const response = ChallengeResponseSchema.parse(req.body);
+    const resolved = await resolveChallenge(req.params.jobId, req.tenant.id, response);
+    if (!resolved) {
+      return res.status(409).json({ error: "Job is not waiting on a challenge" });
+    }
+    res.status(202).json({ jobId: req.params.jobId, status: "resolved" });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: "Invalid input", details: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST endpoint to resume a failed research job; stages it completed before failing are not redone
+app.post("/research/:jobId/resume", async (req, res) => {
+  try {
+    const job = await findTenantJob(researchQueue, req);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    const state = await job.getState();
+    if (state !== "failed") {
+      return res.status(409).json({ error: `Only failed jobs can be resumed; this job is ${state}` });
+    }
+
+    const checkpoint = await loadCheckpoint(job.id);
+    await job.retry();
+
+    res.status(202).json({
       jobId: job.id,
-      status: state,
-      progress: progress,
-      result: job.returnvalue,
-      error: job.failedReason,
-      timestamp: {
-        created: job.timestamp,
-        started: job.processedOn,
-        finished: job.finishedOn
+      status: "processing",
+      completedStages: checkpoint.stages().length,
+      statusUrl: `/research/${job.id}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE endpoint to cancel a research job. Queued jobs are removed; a running job stops at its next
+// step and completes with the findings it has so far, marked partial.
+app.delete("/research/:jobId", async (req, res) => {
+  try {
+    const job = await findTenantJob(researchQueue, req);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    const state = await job.getState();
+    if (state === "completed" || state === "failed") {
+      return res.status(409).json({ error: `Only queued or running jobs can be cancelled; this job is ${state}` });
+    }
+
+    if (state !== "active") {
+      // A worker may pick the job up in the meantime, in which case it is cancelled like a running one
+      const removed = await job.remove().then(() => true, () => false);
+      if (removed) {
+        await createProgressReporter(job)("research:cancelled", { state });
+        if (job.data.batchId) {
+          await recordBatchJobResult(researchQueue, job, { status: "cancelled", error: "Job was cancelled" });
+        }
+        notifyCallback(job, "research.cancelled", { status: "cancelled" });
+        return res.json({ jobId: job.id, status: "cancelled" });
       }
+    }
+
+    await requestCancellation(job.id);
+    res.status(202).json({ jobId: job.id, status: "cancelling", statusUrl: `/research/${job.id}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to inspect webhook delivery attempts for a job
+app.get("/research/:jobId/webhooks", async (req, res) => {
+  try {
+    res.json({
+      jobId: req.params.jobId,
+      attempts: await getWebhookAttempts(req.params.jobId, req.tenant.id)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// POST endpoint to replay a webhook delivery
+app.post("/research/:jobId/webhooks/:deliveryId/replay", async (req, res) => {
+  try {
+    const deliveryId = await replayWebhook(webhookQueue, req.params.jobId, req.params.deliveryId, req.tenant.id);
+    if (!deliveryId) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    res.status(202).json({ deliveryId, replayOf: req.params.deliveryId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to list built-in and tenant research templates
+app.get("/templates", async (req, res) => {
+  try {
+    res.json({ templates: await listTemplates(req.tenant.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to fetch a research template
+app.get("/templates/:name", async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.name, req.tenant.id);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT endpoint to create or replace a tenant research template
+app.put("/templates/:name", async (req, res) => {
+  try {
+    const template = await saveTemplate(req.tenant.id, { ...req.body, name: req.params.name });
+    res.json(template);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: "Invalid input", details: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE endpoint to remove a tenant research template
+app.delete("/templates/:name", async (req, res) => {
+  try {
+    if (!await deleteTemplate(req.tenant.id, req.params.name)) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to list or full-text search archived dossiers
+app.get("/archive/dossiers", async (req, res) => {
+  try {
+    const query = ArchiveQuerySchema.parse(req.query);
+    res.json({ ...await listDossiers(req.tenant.id, query), limit: query.limit, offset: query.offset });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: "Invalid input", details: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to fetch a dossier with its run history and latest result
+app.get("/archive/dossiers/:dossierId", async (req, res) => {
+  try {
+    const dossier = await getDossier(req.tenant.id, req.params.dossierId);
+    if (!dossier) {
+      return res.status(404).json({ error: "Dossier not found" });
+    }
+    res.json(dossier);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to fetch one archived run of a dossier
+app.get("/archive/dossiers/:dossierId/runs/:runId", async (req, res) => {
+  try {
+    const run = await getRun(req.tenant.id, req.params.dossierId, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET endpoint to compare two runs of a dossier
+app.get("/archive/dossiers/:dossierId/compare", async (req, res) => {
+  try {
+    const { from, to } = CompareQuerySchema.parse(req.query);
+    const dossier = await getDossier(req.tenant.id, req.params.dossierId);
+    if (!dossier) {
+      return res.status(404).json({ error: "Dossier not found" });
+    }
+
+    const runIds = dossier.runs.map(run => run.runId);
+    const toId = to ?? runIds[0];
+    const fromId = from ?? runIds[runIds.indexOf(toId) + 1];
+    if (fromId === undefined) {
+      return res.status(400).json({ error: "There is no earlier run to compare with" });
+    }
+
+    const [before, after] = await Promise.all([
+      getRun(req.tenant.id, dossier.dossierId, fromId),
+      getRun(req.tenant.id, dossier.dossierId, toId)
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    res.json({ dossierId: dossier.dossierId, ...compareRuns(before, after) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: "Invalid input", details: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST endpoint to run a one-off browser task
+app.post("/browser", async (req, res) => {
+  try {
+    const task = BrowserTaskSchema.parse(req.body);
+    if (!await enforceDailyQuota(req, res, 1)) return;
+
+    const job = await browserQueue.add({ ...task, tenantId: req.tenant.id });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: "processing",
+      statusUrl: `/browser/${job.id}`,
+      estimatedTime: "1-5 minutes"
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: error.errors
+      });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET endpoint to check browser task status
+app.get("/browser/:jobId", jobStatusHandler(browserQueue));
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   await researchQueue.close();
+  await browserQueue.close();
+  await webhookQueue.close();
   server.close();
 });
 
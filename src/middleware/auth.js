@@ -0,0 +1,80 @@
+// src/middleware/auth.js
+import rateLimit from 'express-rate-limit';
+import basicAuth from 'express-basic-auth';
+import { lookupApiKey, consumeDailyQuota } from '../services/authService.js';
+import { authConfig } from '../config/index.js';
+import { debugLog } from '../utils/logger.js';
+
+function readApiKey(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key');
+}
+
+// Resolves the API key to req.tenant; with auth disabled every caller shares one tenant
+export async function requireApiKey(req, res, next) {
+  if (!authConfig.enabled) {
+    req.tenant = { id: 'default', keyId: 'default', rateLimit: authConfig.defaultRateLimit, dailyQuota: Infinity };
+    return next();
+  }
+
+  try {
+    const apiKey = readApiKey(req);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    const key = await lookupApiKey(apiKey);
+    if (!key) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    req.tenant = {
+      id: key.tenantId,
+      keyId: key.keyId,
+      rateLimit: key.rateLimit,
+      dailyQuota: key.dailyQuota
+    };
+    next();
+  } catch (error) {
+    debugLog('auth:error', 'Error authenticating request', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Per-key request rate limit; must run after requireApiKey
+export const tenantRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  limit: (req) => req.tenant.rateLimit,
+  keyGenerator: (req) => req.tenant.keyId,
+  message: { error: 'Rate limit exceeded for this API key, please try again later' }
+});
+
+// Charges `count` jobs against the tenant's daily quota, responding 429 when it is used up
+export async function enforceDailyQuota(req, res, count = 1) {
+  if (req.tenant.dailyQuota === Infinity) return true;
+
+  const quota = await consumeDailyQuota(req.tenant.id, req.tenant.dailyQuota, count);
+  if (!quota.allowed) {
+    res.status(429).json({
+      error: 'Daily job quota exceeded',
+      quota: { used: quota.used, limit: quota.limit, requested: count }
+    });
+    return false;
+  }
+  return true;
+}
+
+// Basic auth for the Bull dashboard; returns null when no credentials are configured
+export function monitorAuth() {
+  if (!authConfig.monitorUsername || !authConfig.monitorPassword) {
+    return null;
+  }
+  return basicAuth({
+    users: { [authConfig.monitorUsername]: authConfig.monitorPassword },
+    challenge: true,
+    realm: 'research-monitor'
+  });
+}
@@ -0,0 +1,173 @@
+// src/services/agentService.js
+import { search } from "./searchService.js";
+import { makeGPTCall } from "./llmService.js";
+import {
+  rankSearchResults,
+  isLinkedInProfileUrl,
+  extractPageInfo,
+  processLinkedInProfile,
+  recordLinkedInProfile,
+  synthesizeResearch,
+  stopResearch
+} from "./researchSteps.js";
+import { researchConfig } from "../config/index.js";
+import { parseAction } from "../utils/index.js";
+import { debugLog } from "../utils/logger.js";
+
+function buildAgentPrompt(profile, state, remainingSteps) {
+  const recentSteps = state.steps.slice(-8).map(s => `${s.step}. ${s.decision} -> ${s.outcome}`);
+
+  return `You are a research agent gathering professional information about a person.
+
+Profile: ${JSON.stringify({ name: profile.name, context: profile.context })}
+${profile.template?.queryGuidance ? `Research focus: ${profile.template.queryGuidance}\n` : ""}
+Current page: ${state.currentUrl || "none"}
+Steps remaining: ${remainingSteps}
+LinkedIn profiles loaded: ${state.linkedInProfiles.length ? state.linkedInProfiles.map(p => `${p.url} (${p.headline || p.name})`).join(", ") : "none"}
+
+Findings so far:
+${JSON.stringify(state.discoveredInfo.map(info => ({ source: info.source, type: info.type, content: info.content })), null, 2)}
+
+Latest search results:
+${JSON.stringify(state.lastSearchResults.slice(0, 10), null, 2)}
+
+Latest observations on the current page:
+${JSON.stringify(state.lastObservations.slice(0, 10), null, 2)}
+
+Previous steps:
+${recentSteps.join("\n") || "none"}
+
+Choose the single next action. Reply with exactly one line in one of these forms:
+SEARCH: <search query>
+NAVIGATE: <absolute url>
+EXTRACT: <what to extract from the current page>
+OBSERVE: <what to look for on the current page>
+CONCLUDE
+
+Use CONCLUDE once the findings are enough to write a professional bio, or when further steps are unlikely to help.`;
+}
+
+async function executeAction(action, run, state) {
+  const { page, linkedIn, profile } = run;
+
+  switch (action.type) {
+    case "search": {
+      const results = await search(page, action.query, { cache: run.cachePolicy, signal: run.signal });
+      state.lastSearchResults = rankSearchResults(results, profile);
+      state.currentUrl = page.url();
+      return `found ${results.length} results`;
+    }
+    case "navigate": {
+      const url = action.url.trim();
+      if (isLinkedInProfileUrl(url)) {
+        const { contact, linkedInProfile } = await processLinkedInProfile(linkedIn, url, profile);
+        recordLinkedInProfile(state, { contact, linkedInProfile });
+        state.currentUrl = page.url();
+        if (!linkedInProfile) {
+          return contact ? "loaded LinkedIn profile and extracted contact info" : "loaded LinkedIn profile";
+        }
+        return `loaded LinkedIn profile with ${linkedInProfile.experience.length} positions, ${linkedInProfile.education.length} education entries and ${linkedInProfile.recentActivity.length} recent posts${contact ? ", and extracted contact info" : ""}`;
+      }
+      await page.goto(url, { timeout: 30000, waitUntil: "domcontentloaded" });
+      state.currentUrl = page.url();
+      state.lastObservations = [];
+      return `loaded "${await page.title().catch(() => "")}"`;
+    }
+    case "extract": {
+      if (!state.currentUrl) {
+        return "no page loaded";
+      }
+      const info = await extractPageInfo(page, profile, `${action.instruction}
+Relate the extracted details to ${profile.name} with context "${profile.context}".`);
+      if (!info) {
+        return "nothing relevant extracted";
+      }
+      state.discoveredInfo.push(info);
+      return `extracted ${info.type} information (confidence ${info.confidence})`;
+    }
+    case "observe": {
+      if (!state.currentUrl) {
+        return "no page loaded";
+      }
+      const observations = await page.observe({ instruction: action.instruction });
+      state.lastObservations = observations.map(o => o.description);
+      return `observed ${observations.length} elements`;
+    }
+    default:
+      return "unsupported action";
+  }
+}
+
+// Let the LLM pick the next SEARCH/NAVIGATE/EXTRACT/OBSERVE step until it concludes or the budget runs out.
+// The agent's state is checkpointed after every step, so a retried or resumed job continues from the next step.
+// Once run.signal aborts, the steps taken so far are returned with the findings they gathered.
+export async function conductAgenticResearch(run) {
+  const { profile, report, checkpoint, signal } = run;
+  const maxSteps = profile.maxSteps || researchConfig.agentMaxSteps;
+  const saved = checkpoint.get("agent");
+  const state = saved?.state || {
+    steps: [],
+    discoveredInfo: [],
+    contactInformation: null,
+    linkedInProfiles: [],
+    lastSearchResults: [],
+    lastObservations: [],
+    currentUrl: null
+  };
+  let concluded = saved?.concluded || false;
+
+  // Put the browser back on the page the agent was looking at
+  if (saved && !concluded && state.currentUrl && !checkpoint.get("synthesis")) {
+    await run.page.goto(state.currentUrl, { timeout: 30000, waitUntil: "domcontentloaded" }).catch(() => {
+      state.currentUrl = null;
+    });
+  }
+
+  const agentSummary = () => ({
+    maxSteps,
+    stepsUsed: state.steps.length,
+    concluded,
+    steps: state.steps
+  });
+
+  try {
+    for (let step = state.steps.length + 1; step <= maxSteps && !concluded; step++) {
+      const response = await makeGPTCall([
+        { role: "user", content: buildAgentPrompt(profile, state, maxSteps - step + 1) }
+      ], { task: "agent", signal });
+      const decision = response.trim().split("\n")[0];
+      const action = parseAction(decision);
+      const record = { step, decision, action, outcome: null };
+
+      if (!action) {
+        record.outcome = "unrecognised action";
+      } else if (action.type === "conclude") {
+        record.outcome = "concluded";
+        concluded = true;
+      } else {
+        try {
+          record.outcome = await executeAction(action, run, state);
+        } catch (error) {
+          // A step cut short by the job stopping is not recorded, so a resume takes it again
+          signal?.throwIfAborted();
+          debugLog("agent:action-error", "Error executing agent action", { action, error: error.message });
+          record.outcome = `error: ${error.message}`;
+        }
+      }
+
+      state.steps.push(record);
+      await checkpoint.save("agent", { state, concluded });
+      debugLog("agent:step", "Agent step completed", record);
+      await report("agent:step", record, Math.round(10 + (step / maxSteps) * 75));
+    }
+
+    signal?.throwIfAborted();
+    return {
+      ...await checkpoint.remember("synthesis", () => synthesizeResearch(state, profile, report, { signal })),
+      agent: agentSummary()
+    };
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+    return { ...await stopResearch(state, profile, report, signal), agent: agentSummary() };
+  }
+}
@@ -0,0 +1,281 @@
+// services/archiveService.js
+import { debugLog } from '../utils/logger.js';
+import { getDb } from '../utils/db.js';
+import { normaliseText } from './cacheService.js';
+import { archiveConfig } from '../config/index.js';
+
+// A tenant has one dossier per person (name + context) or company, and a dossier keeps every completed run
+// of its research. Each run has a search document weighted towards the name, then the context.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS dossiers (
+  id INTEGER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  subject_key TEXT NOT NULL,
+  type TEXT NOT NULL,
+  name TEXT,
+  context TEXT,
+  domain TEXT,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  latest_run_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, subject_key)
+);
+CREATE TABLE IF NOT EXISTS research_runs (
+  id INTEGER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  dossier_id INTEGER NOT NULL REFERENCES dossiers (id) ON DELETE CASCADE,
+  job_id TEXT NOT NULL,
+  mode TEXT,
+  template TEXT,
+  partial BOOLEAN NOT NULL DEFAULT false,
+  confidence REAL,
+  result JSONB NOT NULL,
+  search_document TSVECTOR NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS research_runs_dossier_idx ON research_runs (dossier_id, id DESC);
+CREATE INDEX IF NOT EXISTS research_runs_search_idx ON research_runs USING GIN (search_document);
+`;
+
+let schemaReady = null;
+
+// Tables are created on first use; a failed attempt is retried by the next call
+function ensureSchema() {
+  schemaReady ??= getDb().query(SCHEMA).catch((error) => {
+    schemaReady = null;
+    throw error;
+  });
+  return schemaReady;
+}
+
+export function isArchiveEnabled() {
+  return !!archiveConfig.databaseUrl;
+}
+
+// Companies are keyed by domain when one was given, like the result cache; templates share a person's dossier
+export function dossierKey(profile) {
+  if (profile.type === 'company') {
+    return `company|${normaliseText(profile.domain || profile.name)}`;
+  }
+  return `person|${normaliseText(profile.name)}|${normaliseText(profile.context)}`;
+}
+
+// Ids arrive as URL parameters; anything that is not a plain integer matches nothing
+const parseId = (value) => /^\d{1,9}$/.test(String(value)) ? Number(value) : null;
+
+// The researched output itself: the bio (or template output) for people, the dossier for companies
+const subjectOf = (result) => result.type === 'company' ? result.company : result.profile;
+
+function collectText(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(collectText);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(collectText);
+  return [];
+}
+
+// Partial runs have no synthesized output, so their findings or pages are searched instead
+function searchBody(result) {
+  return collectText([
+    subjectOf(result),
+    result.linkedIn?.headline,
+    result.linkedIn?.about,
+    result.findings?.map(finding => finding.content),
+    result.pages
+  ]).join('\n');
+}
+
+// Stores a completed run under its person's or company's dossier, creating the dossier on its first run;
+// the dossier keeps the name as first written. Resolves to { dossierId, runId }.
+export async function archiveResearch({ tenantId, jobId, profile, result }) {
+  await ensureSchema();
+  const type = profile.type === 'company' ? 'company' : 'person';
+  const name = profile.name || result.company?.name || null;
+  const domain = profile.domain || result.company?.domain || null;
+
+  const client = await getDb().connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [dossier] } = await client.query(
+      `INSERT INTO dossiers (tenant_id, subject_key, type, name, context, domain)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (tenant_id, subject_key) DO UPDATE
+         SET name = COALESCE(dossiers.name, EXCLUDED.name), domain = COALESCE(dossiers.domain, EXCLUDED.domain)
+       RETURNING id`,
+      [tenantId, dossierKey(profile), type, name, profile.context || null, domain]
+    );
+    const { rows: [run] } = await client.query(
+      `INSERT INTO research_runs (dossier_id, job_id, mode, template, partial, confidence, result, search_document)
+       VALUES ($1, $2, $3, $4, $5, $6, $7,
+         setweight(to_tsvector('english', $8::text), 'A') ||
+         setweight(to_tsvector('english', $9::text), 'B') ||
+         setweight(to_tsvector('english', $10::text), 'C'))
+       RETURNING id`,
+      [
+        dossier.id,
+        String(jobId),
+        result.mode || null,
+        result.template || null,
+        !!result.partial,
+        result.confidence?.overall ?? null,
+        JSON.stringify(result),
+        [name, domain].filter(Boolean).join(' '),
+        profile.context || '',
+        searchBody(result)
+      ]
+    );
+    await client.query(
+      'UPDATE dossiers SET latest_run_id = $1, run_count = run_count + 1, updated_at = now() WHERE id = $2',
+      [run.id, dossier.id]
+    );
+    await client.query('COMMIT');
+
+    debugLog('archive:saved', 'Archived research run', { tenantId, jobId, dossierId: dossier.id, runId: run.id });
+    return { dossierId: dossier.id, runId: run.id };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const formatDossier = (row) => ({
+  dossierId: row.id,
+  type: row.type,
+  name: row.name,
+  context: row.context,
+  domain: row.domain,
+  runCount: row.run_count,
+  latestRun: {
+    runId: row.run_id,
+    jobId: row.job_id,
+    createdAt: row.run_created_at,
+    partial: row.partial,
+    confidence: row.confidence
+  },
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(row.rank !== undefined && { rank: row.rank })
+});
+
+const formatRun = (row) => ({
+  runId: row.id,
+  jobId: row.job_id,
+  mode: row.mode,
+  template: row.template,
+  partial: row.partial,
+  confidence: row.confidence,
+  createdAt: row.created_at
+});
+
+// Lists a tenant's dossiers, most recently updated first. With q, only dossiers whose latest run
+// matches the full-text query (web search syntax: quoted phrases, "or", -exclusions) are listed, best match first.
+// Resolves to { total, dossiers }, where total counts every match, not just this page.
+export async function listDossiers(tenantId, { q, type, limit = 20, offset = 0 } = {}) {
+  await ensureSchema();
+  const params = [tenantId];
+  const conditions = ['d.tenant_id = $1'];
+  let rank = '';
+  let order = 'd.updated_at DESC';
+
+  if (type) {
+    params.push(type);
+    conditions.push(`d.type = $${params.length}`);
+  }
+  if (q) {
+    params.push(q);
+    const query = `websearch_to_tsquery('english', $${params.length})`;
+    conditions.push(`r.search_document @@ ${query}`);
+    rank = `, ts_rank(r.search_document, ${query}) AS rank`;
+    order = `rank DESC, ${order}`;
+  }
+
+  const from = `FROM dossiers d JOIN research_runs r ON r.id = d.latest_run_id WHERE ${conditions.join(' AND ')}`;
+  const { rows } = await getDb().query(
+    `SELECT d.*, r.id AS run_id, r.job_id, r.created_at AS run_created_at, r.partial, r.confidence${rank}
+     ${from}
+     ORDER BY ${order}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, Math.min(limit, archiveConfig.maxPageSize), offset]
+  );
+  const { rows: [count] } = await getDb().query(`SELECT COUNT(*) AS total ${from}`, params);
+  return { total: Number(count.total), dossiers: rows.map(formatDossier) };
+}
+
+// A dossier with its runs (newest first) and the latest run's full result, or null
+export async function getDossier(tenantId, dossierId) {
+  const id = parseId(dossierId);
+  if (id === null) return null;
+  await ensureSchema();
+
+  const { rows: [row] } = await getDb().query(
+    `SELECT d.*, r.id AS run_id, r.job_id, r.created_at AS run_created_at, r.partial, r.confidence, r.result
+     FROM dossiers d JOIN research_runs r ON r.id = d.latest_run_id
+     WHERE d.id = $1 AND d.tenant_id = $2`,
+    [id, tenantId]
+  );
+  if (!row) return null;
+
+  const { rows: runs } = await getDb().query(
+    'SELECT id, job_id, mode, template, partial, confidence, created_at FROM research_runs WHERE dossier_id = $1 ORDER BY id DESC',
+    [id]
+  );
+  return { ...formatDossier(row), runs: runs.map(formatRun), result: row.result };
+}
+
+// One run of a dossier with its full result, or null
+export async function getRun(tenantId, dossierId, runId) {
+  const [dossier, run] = [parseId(dossierId), parseId(runId)];
+  if (dossier === null || run === null) return null;
+  await ensureSchema();
+
+  const { rows: [row] } = await getDb().query(
+    `SELECT r.* FROM research_runs r JOIN dossiers d ON d.id = r.dossier_id
+     WHERE r.id = $1 AND r.dossier_id = $2 AND d.tenant_id = $3`,
+    [run, dossier, tenantId]
+  );
+  return row ? { ...formatRun(row), dossierId: row.dossier_id, result: row.result } : null;
+}
+
+// Items are matched after normalisation, so differences only in case or punctuation are not changes
+function diffList(before = [], after = []) {
+  const key = (item) => typeof item === 'string' ? normaliseText(item) : JSON.stringify(item);
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+  return {
+    added: after.filter(item => !beforeKeys.has(key(item))),
+    removed: before.filter(item => !afterKeys.has(key(item)))
+  };
+}
+
+// One entry per top-level field that differs: lists report the items added and removed, other values both sides
+function diffFields(before, after) {
+  const changes = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const [from, to] = [before[field] ?? null, after[field] ?? null];
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    if (Array.isArray(from) || Array.isArray(to)) {
+      const { added, removed } = diffList(from || [], to || []);
+      if (added.length || removed.length) {
+        changes.push({ field, added, removed });
+      }
+    } else {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+// What changed between two runs (from getRun) of the same dossier
+export function compareRuns(from, to) {
+  const describe = ({ runId, jobId, createdAt, partial, template }) => ({ runId, jobId, createdAt, partial, template });
+  return {
+    from: describe(from),
+    to: describe(to),
+    changes: diffFields(subjectOf(from.result) || {}, subjectOf(to.result) || {}),
+    contactInfo: diffFields(from.result.contactInfo || {}, to.result.contactInfo || {}),
+    sources: diffList(from.result.sources, to.result.sources),
+    confidence: { from: from.confidence, to: to.confidence }
+  };
+}
@@ -0,0 +1,72 @@
+// services/authService.js
+import { createHash, randomBytes } from 'crypto';
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { authConfig } from '../config/index.js';
+
+// Only a hash of each key is stored, so a Redis dump does not leak usable keys
+const hashKey = (apiKey) => createHash('sha256').update(apiKey).digest('hex');
+const apiKeyKey = (keyHash) => `apikey:${keyHash}`;
+const tenantKeysKey = (tenantId) => `tenant:${tenantId}:apikeys`;
+const quotaKey = (tenantId, day) => `quota:${tenantId}:${day}`;
+
+export async function createApiKey({ tenantId, name = '', rateLimit = authConfig.defaultRateLimit, dailyQuota = authConfig.defaultDailyQuota }) {
+  const redis = getRedis();
+  const apiKey = `sk_${randomBytes(24).toString('base64url')}`;
+  const keyHash = hashKey(apiKey);
+
+  await redis.multi()
+    .hset(apiKeyKey(keyHash), {
+      keyId: keyHash.slice(0, 12),
+      tenantId,
+      name,
+      rateLimit,
+      dailyQuota,
+      createdAt: Date.now()
+    })
+    .sadd(tenantKeysKey(tenantId), keyHash)
+    .exec();
+
+  debugLog('auth:create', 'Created API key', { tenantId, keyId: keyHash.slice(0, 12) });
+  return { apiKey, keyId: keyHash.slice(0, 12), tenantId, rateLimit, dailyQuota };
+}
+
+export async function revokeApiKey(apiKey) {
+  const redis = getRedis();
+  const keyHash = hashKey(apiKey);
+  const record = await redis.hgetall(apiKeyKey(keyHash));
+  if (!record.tenantId) return false;
+
+  await redis.multi()
+    .del(apiKeyKey(keyHash))
+    .srem(tenantKeysKey(record.tenantId), keyHash)
+    .exec();
+  return true;
+}
+
+export async function lookupApiKey(apiKey) {
+  const record = await getRedis().hgetall(apiKeyKey(hashKey(apiKey)));
+  if (!record.tenantId) return null;
+
+  return {
+    keyId: record.keyId,
+    tenantId: record.tenantId,
+    name: record.name,
+    rateLimit: parseInt(record.rateLimit, 10),
+    dailyQuota: parseInt(record.dailyQuota, 10)
+  };
+}
+
+// Reserve `count` jobs against the tenant's quota for today (UTC); nothing is consumed if it would exceed it
+export async function consumeDailyQuota(tenantId, dailyQuota, count = 1) {
+  const redis = getRedis();
+  const key = quotaKey(tenantId, new Date().toISOString().slice(0, 10));
+
+  const used = await redis.incrby(key, count);
+  await redis.expire(key, 2 * 24 * 60 * 60);
+  if (used > dailyQuota) {
+    await redis.decrby(key, count);
+    return { allowed: false, used: used - count, limit: dailyQuota };
+  }
+  return { allowed: true, used, limit: dailyQuota };
+}
@@ -0,0 +1,197 @@
+// services/batchService.js
+import { randomUUID } from 'crypto';
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { toCsv } from '../utils/csv.js';
+import { batchConfig } from '../config/index.js';
+
+const batchKey = (batchId) => `batch:${batchId}`;
+const pendingKey = (batchId) => `batch:${batchId}:pending`;
+const resultsKey = (batchId) => `batch:${batchId}:results`;
+const pendingCompaniesKey = (batchId) => `batch:${batchId}:companies:pending`;
+const companiesKey = (batchId) => `batch:${batchId}:companies`;
+
+const RESULT_COLUMNS = [
+  'index', 'name', 'context', 'status', 'jobId', 'currentRole', 'bio',
+  'email', 'phone', 'social', 'sources', 'confidence', 'error'
+];
+
+// Rows wait in a Redis list and are only enqueued while the batch is under its concurrency limit,
+// so a large batch never floods the shared research queue.
+// companyJobs holds the data of company jobs started for the batch; a row's companyJob is its index there.
+// Company jobs wait for a slot like rows, ahead of them, and get their ids up front so rows can link to them.
+export async function createBatch(queue, profiles, { tenantId, concurrency = batchConfig.defaultConcurrency, jobOptions = {}, companyJobs = [] } = {}) {
+  const redis = getRedis();
+  const batchId = randomUUID();
+  const companyJobIds = companyJobs.map((data, index) => `${batchId}-company-${index + 1}`);
+  const rows = profiles.map(({ companyJob, ...profile }) =>
+    companyJob === undefined ? profile : { ...profile, companyJobId: companyJobIds[companyJob] });
+
+  const transaction = redis.multi()
+    .hset(batchKey(batchId), {
+      batchId,
+      tenantId,
+      total: profiles.length,
+      concurrency,
+      inFlight: 0,
+      completed: 0,
+      failed: 0,
+      jobOptions: JSON.stringify(jobOptions),
+      createdAt: Date.now()
+    })
+    .rpush(pendingKey(batchId), ...rows.map((profile, index) => JSON.stringify({ index, profile })))
+    .expire(batchKey(batchId), batchConfig.ttl)
+    .expire(pendingKey(batchId), batchConfig.ttl);
+  if (companyJobs.length) {
+    transaction
+      .rpush(pendingCompaniesKey(batchId), ...companyJobs.map((data, index) => JSON.stringify({ jobId: companyJobIds[index], data })))
+      .expire(pendingCompaniesKey(batchId), batchConfig.ttl);
+  }
+  await transaction.exec();
+
+  debugLog('batch:create', 'Created research batch', { batchId, total: profiles.length, companyJobs: companyJobs.length, concurrency });
+
+  await fillBatch(queue, batchId);
+  return batchId;
+}
+
+// Enqueue pending rows until the batch reaches its concurrency limit
+export async function fillBatch(queue, batchId) {
+  const redis = getRedis();
+  const batch = await redis.hgetall(batchKey(batchId));
+  if (!batch.batchId) return;
+
+  const concurrency = parseInt(batch.concurrency, 10);
+  const jobOptions = JSON.parse(batch.jobOptions || '{}');
+
+  while (true) {
+    // Reserve a slot first so concurrent fills cannot overshoot the limit
+    const inFlight = await redis.hincrby(batchKey(batchId), 'inFlight', 1);
+    if (inFlight > concurrency) {
+      await redis.hincrby(batchKey(batchId), 'inFlight', -1);
+      return;
+    }
+
+    const company = await redis.lpop(pendingCompaniesKey(batchId));
+    if (company) {
+      const { jobId, data } = JSON.parse(company);
+      await queue.add({ ...data, tenantId: batch.tenantId, batchId, batchCompany: true }, { ...jobOptions, jobId });
+      await redis.multi()
+        .hset(companiesKey(batchId), jobId, 'queued')
+        .expire(companiesKey(batchId), batchConfig.ttl)
+        .exec();
+      debugLog('batch:enqueue-company', 'Enqueued batch company job', { batchId, jobId });
+      continue;
+    }
+
+    const next = await redis.lpop(pendingKey(batchId));
+    if (!next) {
+      await redis.hincrby(batchKey(batchId), 'inFlight', -1);
+      return;
+    }
+
+    const { index, profile } = JSON.parse(next);
+    const job = await queue.add({ ...profile, tenantId: batch.tenantId, batchId, batchIndex: index }, jobOptions);
+    await redis.multi()
+      .hset(resultsKey(batchId), index, JSON.stringify({ index, profile, jobId: job.id, status: 'queued' }))
+      .expire(resultsKey(batchId), batchConfig.ttl)
+      .exec();
+
+    debugLog('batch:enqueue', 'Enqueued batch row', { batchId, index, jobId: job.id });
+  }
+}
+
+// Called once per child job when it completes or fails for the last time, and again if a failed job is resumed
+export async function recordBatchJobResult(queue, job, { status, result = null, error = null }) {
+  if (job.data.batchCompany) {
+    return recordBatchCompanyResult(queue, job, status);
+  }
+
+  const redis = getRedis();
+  const { batchId, batchIndex } = job.data;
+  const entry = JSON.parse(await redis.hget(resultsKey(batchId), batchIndex) || '{}');
+  // A resumed row already counted as failed moves to its new status instead of being counted twice
+  const resumed = entry.status === 'failed';
+
+  await redis.multi()
+    .hset(resultsKey(batchId), batchIndex, JSON.stringify({ ...entry, index: batchIndex, jobId: job.id, status, result, error }))
+    .hincrby(batchKey(batchId), resumed ? 'failed' : 'inFlight', -1)
+    .hincrby(batchKey(batchId), status === 'completed' ? 'completed' : 'failed', 1)
+    .exec();
+
+  debugLog('batch:result', 'Recorded batch row result', { batchId, index: batchIndex, status });
+
+  if (!resumed) {
+    await fillBatch(queue, batchId);
+  }
+}
+
+// Company jobs have no result row; they only give their slot back, once, like a row does
+async function recordBatchCompanyResult(queue, job, status) {
+  const redis = getRedis();
+  const { batchId } = job.data;
+  const resumed = await redis.hget(companiesKey(batchId), job.id) === 'failed';
+
+  await redis.hset(companiesKey(batchId), job.id, status === 'completed' ? 'completed' : 'failed');
+  debugLog('batch:company-result', 'Recorded batch company job result', { batchId, jobId: job.id, status });
+
+  if (!resumed) {
+    await redis.hincrby(batchKey(batchId), 'inFlight', -1);
+    await fillBatch(queue, batchId);
+  }
+}
+
+export async function getBatchStatus(batchId) {
+  const redis = getRedis();
+  const batch = await redis.hgetall(batchKey(batchId));
+  if (!batch.batchId) return null;
+
+  const total = parseInt(batch.total, 10);
+  const completed = parseInt(batch.completed, 10);
+  const failed = parseInt(batch.failed, 10);
+  const pending = await redis.llen(pendingKey(batchId));
+  const finished = completed + failed;
+
+  return {
+    batchId,
+    tenantId: batch.tenantId,
+    status: finished >= total ? 'completed' : 'processing',
+    progress: total ? Math.round((finished / total) * 100) : 100,
+    total,
+    pending,
+    active: total - pending - finished,
+    completed,
+    failed,
+    concurrency: parseInt(batch.concurrency, 10),
+    createdAt: parseInt(batch.createdAt, 10)
+  };
+}
+
+export async function getBatchResults(batchId) {
+  const entries = Object.values(await getRedis().hgetall(resultsKey(batchId)))
+    .map(entry => JSON.parse(entry))
+    .sort((a, b) => a.index - b.index);
+  return entries;
+}
+
+export function formatBatchResults(entries, format) {
+  if (format === 'jsonl') {
+    return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+  }
+
+  return toCsv(entries.map(entry => ({
+    index: entry.index,
+    name: entry.profile?.name,
+    context: entry.profile?.context,
+    status: entry.status,
+    jobId: entry.jobId,
+    currentRole: entry.result?.profile?.currentRole,
+    bio: entry.result?.profile?.bio,
+    email: entry.result?.contactInfo?.email,
+    phone: entry.result?.contactInfo?.phone,
+    social: entry.result?.contactInfo?.social?.join(' '),
+    sources: entry.result?.sources?.join(' '),
+    confidence: entry.result?.confidence?.overall,
+    error: entry.error
+  })), RESULT_COLUMNS);
+}
@@ -0,0 +1,73 @@
+// services/bingService.js
+import { setTimeout as sleep } from 'timers/promises';
+import { debugLog } from '../utils/logger.js';
+
+// Bing wraps result links in /ck/a redirects with the target base64url-encoded in `u`
+function unwrapBingUrl(href) {
+  try {
+    const url = new URL(href);
+    if (!url.hostname.endsWith('bing.com') || !url.pathname.startsWith('/ck/')) {
+      return href;
+    }
+    const encoded = url.searchParams.get('u');
+    if (!encoded || !encoded.startsWith('a1')) {
+      return href;
+    }
+    return Buffer.from(encoded.slice(2), 'base64url').toString('utf8');
+  } catch (e) {
+    return href;
+  }
+}
+
+// signal is checked between steps; a page load already under way runs to its own timeout
+export async function searchBing(page, query, { signal } = {}) {
+  debugLog('bing:search', `Searching Bing`, { query });
+
+  try {
+    signal?.throwIfAborted();
+    await page.goto(`https://www.bing.com/search?q=${encodeURIComponent(query)}`);
+    await page.waitForLoadState('domcontentloaded');
+
+    signal?.throwIfAborted();
+
+    // Handle potential cookie consent
+    try {
+      await page.click('#bnp_btn_accept', { timeout: 2000 });
+    } catch (e) {
+      // Cookie consent might not appear
+    }
+
+    signal?.throwIfAborted();
+    const rawResults = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('li.b_algo')).map(item => {
+        const link = item.querySelector('h2 a[href]');
+        return {
+          url: link ? link.href : '',
+          title: link ? link.textContent : '',
+          snippet: item.querySelector('.b_caption p, .b_lineclamp2, .b_lineclamp3')?.textContent || ''
+        };
+      });
+    });
+
+    const results = rawResults
+      .map(result => ({ ...result, url: unwrapBingUrl(result.url) }))
+      .filter(result => result.url && !result.url.includes('bing.com'));
+
+    debugLog('bing:results', `Found search results`, {
+      count: results.length,
+      firstResult: results[0]
+    });
+
+    // Add a small delay to avoid rate limiting
+    await sleep(1000, undefined, { signal });
+
+    return results;
+  } catch (error) {
+    signal?.throwIfAborted();
+    debugLog('bing:error', 'Error performing Bing search', {
+      error: error.message,
+      query
+    });
+    throw new Error(`Bing search failed: ${error.message}`);
+  }
+}
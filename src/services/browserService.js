@@ -0,0 +1,39 @@
+// services/browserService.js
+import { debugLog } from '../utils/logger.js';
+import { setupDialogHandling } from '../utils/dialogHandler.js';
+
+export async function runBrowserTask(stagehand, task) {
+  debugLog('browser:start', 'Starting browser task', { task });
+  const clearDialogHandling = setupDialogHandling(stagehand.page);
+
+  try {
+    await stagehand.page.goto(task.url, { timeout: 30000, waitUntil: 'domcontentloaded' });
+
+    let actResult = null;
+    if (task.action) {
+      actResult = await stagehand.page.act({ action: task.action });
+      debugLog('browser:act', 'Performed action', { action: task.action, result: actResult });
+
+      if (!actResult.success) {
+        throw new Error(`Action failed: ${actResult.message}`);
+      }
+      await stagehand.page.waitForLoadState('domcontentloaded').catch(() => {});
+    }
+
+    let data = null;
+    if (task.extract) {
+      const extracted = await stagehand.page.extract(task.extract);
+      data = extracted?.extraction ?? null;
+      debugLog('browser:extract', 'Extracted page content', { length: data?.length });
+    }
+
+    return {
+      url: stagehand.page.url(),
+      title: await stagehand.page.title().catch(() => null),
+      action: actResult,
+      data
+    };
+  } finally {
+    clearDialogHandling();
+  }
+}
@@ -0,0 +1,85 @@
+// services/cacheService.js
+import { createHash } from 'crypto';
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { cacheConfig, researchConfig } from '../config/index.js';
+
+const hash = (value) => createHash('sha256').update(value).digest('hex');
+
+// Case, punctuation and spacing differences should not defeat the cache
+export function normaliseText(text = '') {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// The research mode (with its step budget, in agentic mode) and any template change how a person is
+// researched, so they are part of the key. A request without a mode or step budget gets the defaults
+// and shares their results.
+export function researchKey(profile) {
+  // Company jobs are keyed by the domain when one was given, so name spellings share a dossier
+  if (profile.type === 'company') {
+    return hash(`company|${normaliseText(profile.domain || profile.name)}`);
+  }
+  const mode = profile.mode || researchConfig.defaultMode;
+  const budget = mode === 'agentic' ? `:${profile.maxSteps || researchConfig.agentMaxSteps}` : '';
+  const base = `${normaliseText(profile.name)}|${normaliseText(profile.context)}|${mode}${budget}`;
+  return hash(profile.template ? `${base}|${JSON.stringify(profile.template)}` : base);
+}
+
+// policy: { forceRefresh, maxAge } where maxAge is in seconds
+async function readCache(key, policy = {}) {
+  if (policy.forceRefresh) return null;
+
+  const raw = await getRedis().get(key);
+  if (!raw) return null;
+
+  const entry = JSON.parse(raw);
+  const ageSeconds = Math.round((Date.now() - entry.cachedAt) / 1000);
+  if (policy.maxAge !== undefined && ageSeconds > policy.maxAge) {
+    return null;
+  }
+  return { ...entry, ageSeconds };
+}
+
+async function writeCache(key, value) {
+  await getRedis().set(key, JSON.stringify({ value, cachedAt: Date.now() }), 'EX', cacheConfig.redis.ttl);
+}
+
+// Cache failures are logged and treated as misses so they never fail a job
+async function safely(operation, fallback, context) {
+  try {
+    return await operation();
+  } catch (error) {
+    debugLog('cache:error', 'Cache operation failed', { ...context, error: error.message });
+    return fallback;
+  }
+}
+
+export function getCachedResearch(profile, policy) {
+  return safely(() => readCache(`cache:research:${researchKey(profile)}`, policy), null, { kind: 'research' });
+}
+
+export function setCachedResearch(profile, result) {
+  return safely(() => writeCache(`cache:research:${researchKey(profile)}`, result), null, { kind: 'research' });
+}
+
+export function getCachedSearch(query, policy) {
+  return safely(() => readCache(`cache:search:${hash(normaliseText(query))}`, policy), null, { kind: 'search' });
+}
+
+export function setCachedSearch(query, results, provider) {
+  return safely(() => writeCache(`cache:search:${hash(normaliseText(query))}`, { results, provider }), null, { kind: 'search' });
+}
+
+// Extractions depend on who we were looking for as well as the page
+export function getCachedExtraction(url, profile, policy) {
+  return safely(() => readCache(`cache:extract:${hash(`${url}|${researchKey(profile)}`)}`, policy), null, { kind: 'extract' });
+}
+
+export function setCachedExtraction(url, profile, info) {
+  return safely(() => writeCache(`cache:extract:${hash(`${url}|${researchKey(profile)}`)}`, info), null, { kind: 'extract' });
+}
@@ -0,0 +1,62 @@
+// services/cancellationService.js
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { jobConfig } from '../config/index.js';
+
+const cancelKey = (jobId) => `cancel:${jobId}`;
+
+// The worker running a job may be another process, so cancellation is a flag in Redis it polls for
+export async function requestCancellation(jobId) {
+  await getRedis().set(cancelKey(jobId), Date.now(), 'EX', jobConfig.cancelRetentionSeconds);
+  debugLog('job:cancel-requested', 'Cancellation requested for job', { jobId });
+}
+
+// Abort reasons carry a code ("cancelled" or "deadline") alongside the message
+function abortReason(code, message) {
+  const reason = new Error(message);
+  reason.code = code;
+  return reason;
+}
+
+// Returns { signal, dispose } for a job. The signal aborts once timeoutMs passes or a cancellation is
+// requested; dispose() stops the deadline and the polling when the job is done.
+export function createJobSignal(jobId, timeoutMs = jobConfig.timeout) {
+  const controller = new AbortController();
+  const redis = getRedis();
+
+  const deadline = setTimeout(() => {
+    controller.abort(abortReason('deadline', `Job deadline of ${timeoutMs}ms reached`));
+  }, timeoutMs);
+
+  const poll = setInterval(async () => {
+    try {
+      if (await redis.get(cancelKey(jobId))) {
+        controller.abort(abortReason('cancelled', 'Job was cancelled'));
+      }
+    } catch (error) {
+      debugLog('job:cancel-error', 'Failed to check for cancellation', { jobId, error: error.message });
+    }
+  }, jobConfig.cancelPollInterval);
+
+  const stop = () => {
+    clearTimeout(deadline);
+    clearInterval(poll);
+  };
+  controller.signal.addEventListener('abort', () => {
+    stop();
+    debugLog('job:aborted', 'Stopping job', { jobId, reason: controller.signal.reason.code });
+  }, { once: true });
+
+  return {
+    signal: controller.signal,
+    async dispose() {
+      stop();
+      await redis.del(cancelKey(jobId)).catch(() => {});
+    }
+  };
+}
+
+// Describes why research stopped early, for partial results
+export function describeAbort(signal) {
+  return { reason: signal.reason?.code || 'aborted', message: signal.reason?.message || 'Research was aborted' };
+}
@@ -0,0 +1,87 @@
+// services/challengeService.js
+import { setTimeout as sleep } from 'timers/promises';
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { challengeConfig } from '../config/index.js';
+
+const challengeKey = (jobId) => `challenge:${jobId}`;
+
+// Challenge records move from pending to resolved (an operator sent a PIN or marked it solved),
+// then to passed, failed, expired or aborted once the job has acted on it
+export async function openChallenge(jobId, tenantId, { type, url }) {
+  await getRedis().multi()
+    .del(challengeKey(jobId))
+    .hset(challengeKey(jobId), {
+      jobId,
+      tenantId,
+      type,
+      url,
+      status: 'pending',
+      createdAt: Date.now()
+    })
+    .expire(challengeKey(jobId), challengeConfig.retentionSeconds)
+    .exec();
+  debugLog('challenge:open', 'Job is waiting for an operator', { jobId, type });
+}
+
+export async function getChallenge(jobId, tenantId) {
+  const challenge = await getRedis().hgetall(challengeKey(jobId));
+  if (!challenge.jobId || challenge.tenantId !== tenantId) return null;
+
+  const { tenantId: _tenantId, pin, ...rest } = challenge;
+  return { ...rest, pinSubmitted: !!pin, createdAt: parseInt(challenge.createdAt, 10) };
+}
+
+// Returns false when there is no pending challenge to resolve
+export async function resolveChallenge(jobId, tenantId, { pin, solved }) {
+  const redis = getRedis();
+  const challenge = await redis.hgetall(challengeKey(jobId));
+  if (!challenge.jobId || challenge.tenantId !== tenantId || challenge.status !== 'pending') {
+    return false;
+  }
+
+  await redis.hset(challengeKey(jobId), {
+    status: 'resolved',
+    pin: pin || '',
+    solved: solved ? 'true' : 'false',
+    resolvedAt: Date.now()
+  });
+  debugLog('challenge:resolve', 'Operator resolved challenge', { jobId, pin: !!pin, solved: !!solved });
+  return true;
+}
+
+export async function closeChallenge(jobId, status) {
+  await getRedis().hset(challengeKey(jobId), { status, closedAt: Date.now() });
+}
+
+// Returns handle(challenge) for a job: it records the challenge, reports it, and polls until an operator
+// responds with { pin } or { solved: true }, throwing once challengeConfig.timeout passes or signal aborts.
+// handle.close(status) records whether the operator's responses got the job through ("passed" or "failed").
+export function createChallengeHandler(job, report, { signal } = {}) {
+  const handle = async ({ type, url }) => {
+    const redis = getRedis();
+    await openChallenge(job.id, job.data.tenantId, { type, url });
+    await report('job:needs-human', { challenge: type, url, timeoutMs: challengeConfig.timeout });
+
+    const deadline = Date.now() + challengeConfig.timeout;
+    while (Date.now() < deadline) {
+      try {
+        await sleep(challengeConfig.pollInterval, undefined, { signal });
+      } catch (error) {
+        await closeChallenge(job.id, 'aborted');
+        throw signal.reason;
+      }
+      const challenge = await redis.hgetall(challengeKey(job.id));
+      if (challenge.status === 'resolved') {
+        await report('challenge:resolved', { challenge: type, pinSubmitted: !!challenge.pin });
+        return { pin: challenge.pin || null, solved: challenge.solved === 'true' };
+      }
+    }
+
+    await closeChallenge(job.id, 'expired');
+    await report('challenge:expired', { challenge: type });
+    throw new Error(`LinkedIn ${type} challenge was not resolved within ${challengeConfig.timeout}ms`);
+  };
+  handle.close = (status) => closeChallenge(job.id, status);
+  return handle;
+}
@@ -0,0 +1,58 @@
+// services/checkpointService.js
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { checkpointConfig } from '../config/index.js';
+
+const checkpointKey = (jobId) => `checkpoint:${jobId}`;
+
+// Used when research runs outside a job: every stage simply runs
+export const noCheckpoint = {
+  stages: () => [],
+  get: () => undefined,
+  save: async () => {},
+  remember: (stage, produce) => produce(),
+  clear: async () => {}
+};
+
+// Returns the checkpoint for a job, loaded from Redis. Each completed stage is a hash field holding its
+// result, so a retried or resumed job picks up saved results instead of redoing the work.
+export async function loadCheckpoint(jobId) {
+  const redis = getRedis();
+  const saved = new Map();
+  try {
+    for (const [stage, value] of Object.entries(await redis.hgetall(checkpointKey(jobId)))) {
+      saved.set(stage, JSON.parse(value));
+    }
+  } catch (error) {
+    debugLog('checkpoint:error', 'Failed to load checkpoint; starting from scratch', { jobId, error: error.message });
+  }
+
+  const checkpoint = {
+    stages: () => Array.from(saved.keys()),
+    get: (stage) => saved.get(stage),
+    async save(stage, value) {
+      saved.set(stage, value ?? null);
+      try {
+        await redis.multi()
+          .hset(checkpointKey(jobId), stage, JSON.stringify(value ?? null))
+          .expire(checkpointKey(jobId), checkpointConfig.retentionSeconds)
+          .exec();
+      } catch (error) {
+        // Like progress events, checkpoints must never fail the research itself
+        debugLog('checkpoint:error', 'Failed to save checkpoint stage', { jobId, stage, error: error.message });
+      }
+    },
+    // The saved result of a stage, or the result of produce() once it has been saved. Stages that
+    // throw are not saved, so they run again next time.
+    async remember(stage, produce) {
+      if (saved.has(stage)) {
+        return saved.get(stage);
+      }
+      const value = await produce();
+      await checkpoint.save(stage, value);
+      return value;
+    },
+    clear: () => redis.del(checkpointKey(jobId)).catch(() => {})
+  };
+  return checkpoint;
+}
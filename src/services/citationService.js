@@ -0,0 +1,94 @@
+// services/citationService.js
+import { z } from 'zod';
+import { debugLog } from '../utils/logger.js';
+import { normaliseText } from './cacheService.js';
+
+export const ClaimSchema = z.object({
+  field: z.enum(['bio', 'currentRole', 'expertise', 'achievements', 'recentActivity', 'keyPoints']),
+  text: z.string().describe('the sentence of the bio or the list item, copied exactly as it appears in that field'),
+  citations: z.array(z.object({
+    sourceId: z.number().int().describe('the [n] number of the source'),
+    quote: z.string().describe('text copied verbatim from that source that supports the claim')
+  }))
+});
+
+// Template output has arbitrary keys, so its claims name the top-level key they belong to
+export const TemplateClaimSchema = ClaimSchema.extend({
+  field: z.string().describe('the top-level key of data the claim belongs to'),
+  text: z.string().describe('the statement as written in that field, or a short statement of the fact for objects')
+});
+
+const MIN_QUOTE_LENGTH = 8;
+
+// Quotes are compared after normalisation, so case, punctuation and whitespace differences still verify
+function quoteAppearsIn(quote, content) {
+  const needle = normaliseText(quote);
+  return needle.length >= MIN_QUOTE_LENGTH && ` ${normaliseText(content)} `.includes(` ${needle} `);
+}
+
+// Numbered sources for the synthesis prompt: the LinkedIn profile (if any) then each finding
+export function buildCitableSources(findings, linkedInProfile = null, linkedInText = null) {
+  const sources = findings.map(info => ({ url: info.source, content: info.content }));
+  if (linkedInProfile) {
+    sources.unshift({ url: linkedInProfile.url, content: linkedInText });
+  }
+  return sources.map((source, index) => ({ id: index + 1, ...source }));
+}
+
+// Keeps only citations whose quote really appears in the cited source. Claims left without one are
+// flagged as unsupported, or removed along with their text in the profile when mode is "drop".
+export function verifyClaims(bio, claims, citableSources, { mode = 'flag' } = {}) {
+  const byId = new Map(citableSources.map(source => [source.id, source]));
+
+  const checked = claims.map(claim => {
+    const citations = claim.citations
+      .filter(citation => {
+        const source = byId.get(citation.sourceId);
+        return source && quoteAppearsIn(citation.quote, source.content);
+      })
+      .map(citation => ({ source: byId.get(citation.sourceId).url, quote: citation.quote.trim() }));
+
+    return {
+      field: claim.field,
+      text: claim.text,
+      citations: Array.from(new Map(citations.map(citation => [`${citation.source}|${citation.quote}`, citation])).values()),
+      supported: citations.length > 0
+    };
+  });
+
+  const unsupported = checked.filter(claim => !claim.supported);
+  debugLog('citations:verified', 'Verified synthesis claims', {
+    claims: checked.length,
+    unsupported: unsupported.length,
+    mode
+  });
+
+  if (mode !== 'drop') {
+    return { profile: bio, claims: checked };
+  }
+  return { profile: removeClaims(bio, unsupported), claims: checked.filter(claim => claim.supported) };
+}
+
+function removeClaims(bio, claims) {
+  const profile = { ...bio };
+  for (const claim of claims) {
+    const value = profile[claim.field];
+    if (Array.isArray(value)) {
+      profile[claim.field] = value.filter(item => normaliseText(item) !== normaliseText(claim.text));
+    } else if (typeof value === 'string' && value.includes(claim.text)) {
+      profile[claim.field] = value.replace(claim.text, '').replace(/[ \t]{2,}/g, ' ').trim();
+    }
+  }
+  return profile;
+}
+
+// Footnote numbers point into the result's sources list
+export function attachFootnotes(claims, sources) {
+  return claims.map(claim => ({
+    ...claim,
+    citations: claim.citations.map(citation => ({
+      footnote: sources.indexOf(citation.source) + 1,
+      ...citation
+    }))
+  }));
+}
@@ -0,0 +1,295 @@
+// src/services/companyService.js
+import { z } from "zod";
+import { LinkedInService } from "./linkedInService.js";
+import { search } from "./searchService.js";
+import { makeGPTCall } from "./llmService.js";
+import { getCachedExtraction, setCachedExtraction } from "./cacheService.js";
+import { detectTechnologies } from "../utils/techDetect.js";
+import { debugLog } from "../utils/logger.js";
+import { setupDialogHandling } from "../utils/dialogHandler.js";
+import { noCheckpoint } from "./checkpointService.js";
+import { describeAbort } from "./cancellationService.js";
+
+const noop = async () => {};
+
+// Site sections worth reading, matched against link paths and link text
+const SECTIONS = {
+  about: /about|company|who-we-are|our-story|mission/,
+  team: /team|leadership|management|people|founders|executives/,
+  pricing: /pricing|plans/,
+  careers: /careers|jobs|join-us|work-with-us|hiring/,
+  press: /press|newsroom|news|media/
+};
+
+// Results on these hosts are never the company's own site
+const NOT_COMPANY_SITES = /(linkedin|wikipedia|facebook|twitter|x\.com|instagram|youtube|crunchbase|glassdoor|indeed|bloomberg|zoominfo)\./;
+
+const CompanyPageSchema = z.object({
+  summary: z.string(),
+  facts: z.array(z.string()).describe("concrete facts such as founding year, headcount, locations, customers or funding"),
+  people: z.array(z.object({ name: z.string(), title: z.string() })),
+  products: z.array(z.object({ name: z.string(), description: z.string(), pricing: z.string().nullable() })),
+  openRoles: z.array(z.object({ title: z.string(), department: z.string().nullable(), location: z.string().nullable() })),
+  news: z.array(z.object({ title: z.string(), date: z.string().nullable() }))
+});
+
+export const CompanyDossierSchema = z.object({
+  name: z.string(),
+  domain: z.string().nullable(),
+  description: z.string(),
+  industry: z.string().nullable(),
+  size: z.object({
+    employees: z.string().nullable().describe("headcount or size band as stated by a source"),
+    source: z.string().nullable().describe("URL of the source the size came from")
+  }),
+  headquarters: z.string().nullable(),
+  founded: z.string().nullable(),
+  leadership: z.array(z.object({ name: z.string(), title: z.string() })),
+  products: z.array(z.object({ name: z.string(), description: z.string(), pricing: z.string().nullable() })),
+  recentNews: z.array(z.object({ title: z.string(), date: z.string().nullable(), url: z.string().nullable(), summary: z.string() })),
+  hiring: z.object({
+    openRoles: z.number().nullable(),
+    departments: z.array(z.string())
+  }),
+  technologies: z.array(z.string()).describe("technologies mentioned by the sources, e.g. in job posts")
+});
+
+// True for the domain itself and its subdomains, but not for lookalikes such as notacme.com
+const onDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return null;
+  }
+}
+
+// Use the given domain, otherwise the first search result that is not a directory or social site
+async function resolveDomain(run) {
+  const { company, page } = run;
+  if (company.domain) {
+    return hostOf(company.domain.includes("://") ? company.domain : `https://${company.domain}`);
+  }
+
+  const results = await search(page, `${company.name} official website`, { cache: run.cachePolicy, signal: run.signal });
+  const official = results.map(result => hostOf(result.url)).find(host => host && !NOT_COMPANY_SITES.test(host));
+  if (!official) {
+    throw new Error(`Could not find a website for "${company.name}"`);
+  }
+  return official;
+}
+
+// One same-site link per section (the shortest URL wins), plus any LinkedIn company page link
+async function findSiteSections(page, domain) {
+  const links = await page.evaluate(() => Array.from(document.links, link => ({
+    href: link.href.split("#")[0],
+    text: (link.textContent || "").trim().toLowerCase()
+  }))).catch(() => []);
+
+  const sections = {};
+  for (const [section, pattern] of Object.entries(SECTIONS)) {
+    const matches = links
+      .filter(link => hostOf(link.href) && onDomain(hostOf(link.href), domain))
+      .filter(link => pattern.test(new URL(link.href).pathname.toLowerCase()) || pattern.test(link.text))
+      .map(link => link.href)
+      .sort((a, b) => a.length - b.length);
+    if (matches.length) {
+      sections[section] = matches[0];
+    }
+  }
+
+  const linkedInUrl = links.map(link => link.href).find(href => /linkedin\.com\/company\//.test(href)) || null;
+  return { sections, linkedInUrl };
+}
+
+async function extractSection(run, section, url) {
+  const { page, company } = run;
+  const cached = await getCachedExtraction(url, company, run.cachePolicy);
+  if (cached) {
+    return cached.value;
+  }
+
+  await page.goto(url, { timeout: 30000, waitUntil: "domcontentloaded" });
+  const extraction = await page.extract({
+    instruction: `This is the ${section} page of ${company.name || "the company"}'s website. Summarise it and extract concrete facts, named people with their titles, products with any pricing, open roles and news items.`,
+    schema: CompanyPageSchema,
+    timeout: 45000
+  });
+  const result = { section, source: url, ...extraction };
+  await setCachedExtraction(url, company, result);
+  return result;
+}
+
+async function findLinkedInCompanyUrl(run) {
+  const results = await search(run.page, `${run.company.name || run.domain} site:linkedin.com/company`, { cache: run.cachePolicy, signal: run.signal })
+    .catch(() => []);
+  return results.map(result => result.url).find(url => /linkedin\.com\/company\//.test(url)) || null;
+}
+
+async function synthesizeDossier(run, { pages, linkedInCompany, news, technologies }) {
+  const { company, domain } = run;
+  const prompt = `Build a company dossier for ${company.name || domain} (${domain}) from these sources.
+
+Company website pages:
+${JSON.stringify(pages.map(({ section, source, summary, facts, people, products, openRoles, news }) => ({ section, source, summary, facts, people, products, openRoles, news })), null, 2)}
+
+LinkedIn company page:
+${JSON.stringify(linkedInCompany, null, 2)}
+
+News search results:
+${JSON.stringify(news, null, 2)}
+
+Technologies detected in the website's code: ${technologies.map(tech => tech.name).join(", ") || "none"}
+
+Return a JSON object with: name, domain, description, industry, size ({ employees, source }), headquarters, founded,
+leadership ([{ name, title }]), products ([{ name, description, pricing }]), recentNews ([{ title, date, url, summary }]),
+hiring ({ openRoles, departments }) and technologies (those the sources mention, such as in job posts).
+Only use facts the sources state; use null or empty arrays where they say nothing.`;
+
+  return makeGPTCall([{ role: "user", content: prompt }], {
+    task: "synthesis",
+    maxTokens: 2500,
+    schema: CompanyDossierSchema,
+    schemaName: "company_dossier",
+    signal: run.signal
+  });
+}
+
+function collectSources({ pages, linkedInCompany, news }) {
+  return Array.from(new Set([
+    ...pages.map(page => page.source),
+    ...(linkedInCompany ? [linkedInCompany.url] : []),
+    ...news.map(result => result.url)
+  ]));
+}
+
+// Stopped research returns the pages read so far in place of a dossier, with partial saying why it stopped
+async function stopCompanyResearch(run, found) {
+  const stopped = describeAbort(run.signal);
+  await run.report("research:stopped", { ...stopped, pages: found.pages.length });
+  return {
+    type: "company",
+    company: {
+      name: run.company.name || found.linkedInCompany?.name || null,
+      domain: run.domain || null,
+      detectedTechnologies: found.technologies
+    },
+    pages: found.pages,
+    linkedIn: found.linkedInCompany,
+    news: found.news,
+    sources: collectSources(found),
+    partial: stopped
+  };
+}
+
+// options behave as for conductResearch; company is { name?, domain? }
+export async function conductCompanyResearch(stagehand, company, { report = noop, cache = {}, onChallenge = null, checkpoint = noCheckpoint, signal } = {}) {
+  debugLog("company:start", "Starting company research", { company });
+  await report("research:started", { type: "company" }, 10);
+  const clearDialogHandling = setupDialogHandling(stagehand.page);
+
+  const run = {
+    stagehand,
+    page: stagehand.page,
+    linkedIn: new LinkedInService(stagehand, { onChallenge, signal }),
+    company,
+    report,
+    cachePolicy: cache,
+    signal
+  };
+  // What has been gathered so far, returned as it stands if the research is stopped
+  const found = { technologies: [], pages: [], linkedInCompany: null, news: [] };
+
+  try {
+    // 1. Find the company's site and read its homepage
+    run.domain = await checkpoint.remember("domain", () => resolveDomain(run));
+    const homepage = `https://${run.domain}/`;
+    await report("company:domain-resolved", { domain: run.domain }, 15);
+
+    // An unreachable site is not remembered, so a retry tries it again; this run carries on without it
+    let siteError = null;
+    const { technologies, sections, linkedInUrl } = await checkpoint.remember("site", async () => {
+      signal?.throwIfAborted();
+      await run.page.goto(homepage, { timeout: 30000, waitUntil: "domcontentloaded" });
+      return {
+        technologies: await detectTechnologies(run.page),
+        ...await findSiteSections(run.page, run.domain)
+      };
+    }).catch(async (error) => {
+      signal?.throwIfAborted();
+      siteError = error;
+      debugLog("company:site-error", "Error loading company homepage", { url: homepage, error: error.message });
+      await report("company:site-failed", { url: homepage, reason: error.message }, 20);
+      return { technologies: [], sections: {}, linkedInUrl: null };
+    });
+    found.technologies = technologies;
+    if (!siteError) {
+      await report("company:site-mapped", { sections: Object.keys(sections), technologies: technologies.length }, 20);
+    }
+
+    // 2. Read the homepage and each section page
+    const { pages } = found;
+    const targets = siteError ? [] : [["home", homepage], ...Object.entries(sections)];
+    for (const [index, [section, url]] of targets.entries()) {
+      const progress = Math.round(20 + ((index + 1) / targets.length) * 45);
+      signal?.throwIfAborted();
+      try {
+        pages.push(await checkpoint.remember(`page:${url}`, () => extractSection(run, section, url)));
+        await report("page:visited", { url, section }, progress);
+      } catch (error) {
+        signal?.throwIfAborted();
+        debugLog("company:page-error", "Error reading company page", { url, error: error.message });
+        await report("page:skipped", { url, reason: error.message }, progress);
+      }
+    }
+
+    // 3. LinkedIn company page, preferring the one the site links to
+    signal?.throwIfAborted();
+    let linkedInCompany = null;
+    const companyPageUrl = linkedInUrl || await checkpoint.remember("linkedin:search", () => findLinkedInCompanyUrl(run));
+    if (companyPageUrl) {
+      try {
+        linkedInCompany = await checkpoint.remember(`linkedin:${companyPageUrl}`, () => run.linkedIn.extractCompany(companyPageUrl));
+      } catch (error) {
+        debugLog("company:linkedin-error", "Error reading LinkedIn company page", { error: error.message });
+      }
+      found.linkedInCompany = linkedInCompany;
+      await report("page:visited", { url: companyPageUrl, source: "linkedin", found: !!linkedInCompany }, 75);
+    }
+
+    // 4. Recent news from search snippets
+    signal?.throwIfAborted();
+    const newsQuery = `"${company.name || linkedInCompany?.name || run.domain}" news`;
+    const news = (await checkpoint.remember(`search:${newsQuery}`, () => search(run.page, newsQuery, { cache: run.cachePolicy, signal })).catch(() => []))
+      .filter(result => hostOf(result.url) && !onDomain(hostOf(result.url), run.domain))
+      .slice(0, 8);
+    found.news = news;
+    await report("search:completed", { query: newsQuery, count: news.length }, 80);
+
+    // 5. Synthesize the dossier
+    signal?.throwIfAborted();
+    await report("synthesis:started", { pages: pages.length }, 90);
+    const dossier = await checkpoint.remember("synthesis", () => synthesizeDossier(run, { pages, linkedInCompany, news, technologies }));
+
+    return {
+      type: "company",
+      company: {
+        ...dossier,
+        domain: dossier.domain || run.domain,
+        // Detected from the site's code rather than claimed by a source
+        detectedTechnologies: technologies
+      },
+      linkedIn: linkedInCompany,
+      sources: collectSources(found),
+      ...(siteError && { partial: { reason: "site-unreachable", message: `Could not load ${homepage}: ${siteError.message}` } })
+    };
+
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+    return stopCompanyResearch(run, found);
+
+  } finally {
+    clearDialogHandling();
+  }
+}
@@ -0,0 +1,250 @@
+// services/confidenceService.js
+import { normaliseText } from './cacheService.js';
+import { sameEntity } from './entityResolutionService.js';
+
+// How much a single source of each kind is trusted on its own
+const SOURCE_WEIGHTS = {
+  linkedin: 0.9,
+  company: 0.8,
+  news: 0.7,
+  web: 0.5
+};
+
+const NEWS_HOSTS = /(news|bbc\.|reuters\.|bloomberg\.|techcrunch\.|forbes\.|theguardian\.|nytimes\.|wsj\.|ft\.com|cnbc\.)/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+// Runs of years, such as "2012-2016" or "2012 - 2016 2018", are dates rather than numbers
+const YEAR_RUN = /^(?:(?:19|20)\d{2}[\s.-]*)+$/;
+
+// A phone number found in page text is written internationally or has at least nine digits
+function looksLikePhone(text) {
+  const match = text.trim();
+  if (YEAR_RUN.test(match)) return false;
+  return match.startsWith('+') || match.replace(/\D/g, '').length >= 9;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+// Sources on the same site are not independent of each other
+function siteOf(url) {
+  return hostOf(url).split('.').slice(-2).join('.');
+}
+
+function classifySource(url, finding, employer) {
+  const host = hostOf(url);
+  if (host.endsWith('linkedin.com')) return 'linkedin';
+  if (finding?.type === 'news' || NEWS_HOSTS.test(host)) return 'news';
+  if (employer && normaliseText(employer).split(' ').some(word => word.length > 3 && host.includes(word))) return 'company';
+  return 'web';
+}
+
+// Undated sources are neither rewarded nor heavily penalised
+function recencyFactor(published) {
+  if (!published) return 0.8;
+  const time = Date.parse(published);
+  if (Number.isNaN(time)) return 0.8;
+
+  const ageDays = (Date.now() - time) / DAY_MS;
+  if (ageDays < 365) return 1;
+  if (ageDays < 3 * 365) return 0.85;
+  return 0.7;
+}
+
+function buildSourceIndex(findings, linkedInProfile, employer) {
+  const index = new Map();
+  for (const finding of findings) {
+    index.set(finding.source, {
+      url: finding.source,
+      type: classifySource(finding.source, finding, employer),
+      published: finding.published || null,
+      weight: 0
+    });
+  }
+  if (linkedInProfile) {
+    // The profile was read during this run, so it is as current as a source gets
+    index.set(linkedInProfile.url, { url: linkedInProfile.url, type: 'linkedin', published: null, current: true, weight: 0 });
+  }
+  for (const source of index.values()) {
+    source.weight = round(SOURCE_WEIGHTS[source.type] * (source.current ? 1 : recencyFactor(source.published)));
+  }
+  return index;
+}
+
+// Noisy-OR over independent sites: each extra agreeing site closes part of the remaining doubt.
+// Weight held by conflicting values pulls the score down in proportion.
+function combine(supporting, conflicting = []) {
+  const bestPerSite = (sources) => {
+    const sites = new Map();
+    for (const source of sources) {
+      const site = siteOf(source.url);
+      sites.set(site, Math.max(sites.get(site) || 0, source.weight));
+    }
+    return Array.from(sites.values());
+  };
+
+  const agreeing = bestPerSite(supporting);
+  if (agreeing.length === 0) return 0;
+
+  const belief = 1 - agreeing.reduce((doubt, weight) => doubt * (1 - weight * 0.6), 1);
+  const agreeingWeight = agreeing.reduce((sum, weight) => sum + weight, 0);
+  const conflictingWeight = bestPerSite(conflicting).reduce((sum, weight) => sum + weight, 0);
+  return round(belief * (agreeingWeight / (agreeingWeight + conflictingWeight)));
+}
+
+function describeSources(sources) {
+  return sources.map(({ url, type, published }) => ({ url, type, published }));
+}
+
+function lookupSources(urls, sourceIndex) {
+  return Array.from(new Set(urls)).map(url => sourceIndex.get(url)).filter(Boolean);
+}
+
+const citedUrls = (claims, field, text = null) => claims
+  .filter(claim => claim.field === field && (text === null || normaliseText(claim.text) === normaliseText(text)))
+  .flatMap(claim => claim.citations.map(citation => citation.source));
+
+function scoreCurrentRole({ profile, claims, findings, linkedInProfile, employer, sourceIndex }) {
+  const current = linkedInProfile?.experience.find(entry => !entry.endDate || /present/i.test(entry.endDate));
+  const currentEmployer = current?.company || employer;
+
+  const supportingUrls = citedUrls(claims, 'currentRole');
+  if (linkedInProfile && current) supportingUrls.push(linkedInProfile.url);
+
+  // Findings naming a different employer are listed as conflicts, grouped by the employer they name
+  const conflicts = new Map();
+  for (const finding of findings) {
+    if (!finding.employer || !currentEmployer) continue;
+    if (sameEntity(finding.employer, currentEmployer)) {
+      supportingUrls.push(finding.source);
+    } else {
+      const key = normaliseText(finding.employer);
+      if (!conflicts.has(key)) conflicts.set(key, { value: finding.employer, urls: [] });
+      conflicts.get(key).urls.push(finding.source);
+    }
+  }
+
+  const supporting = lookupSources(supportingUrls, sourceIndex);
+  const conflicting = Array.from(conflicts.values()).map(conflict => ({
+    value: conflict.value,
+    sources: lookupSources(conflict.urls, sourceIndex)
+  }));
+
+  return {
+    value: profile.currentRole || null,
+    employer: currentEmployer || null,
+    confidence: profile.currentRole ? combine(supporting, conflicting.flatMap(conflict => conflict.sources)) : 0,
+    sources: describeSources(supporting),
+    conflicts: conflicting.map(conflict => ({ value: conflict.value, sources: describeSources(conflict.sources) }))
+  };
+}
+
+// Email and phone: agreement is the value appearing in a source; any other value found is a conflict.
+// accept, when given, filters out pattern matches that are not really contact details.
+function scoreContactField(value, { pattern, normalise, accept = () => true, contactSource, findings, sourceIndex }) {
+  const supportingUrls = value && contactSource ? [contactSource] : [];
+  const conflicts = new Map();
+
+  for (const finding of findings) {
+    for (const match of finding.content.match(pattern) || []) {
+      if (!accept(match)) continue;
+      const found = normalise(match);
+      if (!found) continue;
+      if (value && found === normalise(value)) {
+        supportingUrls.push(finding.source);
+      } else {
+        if (!conflicts.has(found)) conflicts.set(found, { value: match.trim(), urls: [] });
+        conflicts.get(found).urls.push(finding.source);
+      }
+    }
+  }
+
+  const supporting = lookupSources(supportingUrls, sourceIndex);
+  const conflicting = Array.from(conflicts.values()).map(conflict => ({
+    value: conflict.value,
+    sources: lookupSources(conflict.urls, sourceIndex)
+  }));
+
+  return {
+    value: value || null,
+    confidence: value ? combine(supporting, conflicting.flatMap(conflict => conflict.sources)) : 0,
+    sources: describeSources(supporting),
+    conflicts: conflicting.map(conflict => ({ value: conflict.value, sources: describeSources(conflict.sources) }))
+  };
+}
+
+function scoreClaimField(value, field, claims, sourceIndex) {
+  const supporting = lookupSources(citedUrls(claims, field), sourceIndex);
+  const hasValue = value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0);
+  return { value: hasValue ? value : null, confidence: hasValue ? combine(supporting) : 0, sources: describeSources(supporting) };
+}
+
+function scoreItems(items, field, claims, sourceIndex) {
+  return items.map(item => {
+    const supporting = lookupSources(citedUrls(claims, field, item), sourceIndex);
+    return { value: item, confidence: combine(supporting), sources: describeSources(supporting) };
+  });
+}
+
+// Per-field confidence from how many independent sites agree, what kind of site each is and how
+// recent it is. overall is the mean over the fields that have a value. Template output (template: true)
+// is scored per top-level key from the claims citing it.
+export function scoreConfidence({ profile, claims = [], contactInfo, contactSource = null, findings = [], linkedInProfile = null, employer = null, template = false }) {
+  const sourceIndex = buildSourceIndex(findings, linkedInProfile, employer);
+
+  const contactFields = {
+    email: scoreContactField(contactInfo.email, {
+      pattern: EMAIL_PATTERN,
+      normalise: (email) => email.trim().toLowerCase(),
+      contactSource,
+      findings,
+      sourceIndex
+    }),
+    phone: scoreContactField(contactInfo.phone, {
+      pattern: PHONE_PATTERN,
+      // Compare the trailing digits so national and international formats of one number agree
+      normalise: (phone) => {
+        const digits = phone.replace(/\D/g, '');
+        return digits.length >= 7 ? digits.slice(-9) : null;
+      },
+      accept: looksLikePhone,
+      contactSource,
+      findings,
+      sourceIndex
+    })
+  };
+
+  let fields;
+  if (template) {
+    fields = { ...contactFields };
+    for (const [key, value] of Object.entries(profile)) {
+      fields[key] = key === 'currentRole'
+        ? scoreCurrentRole({ profile, claims, findings, linkedInProfile, employer, sourceIndex })
+        : scoreClaimField(value, key, claims, sourceIndex);
+    }
+  } else {
+    fields = {
+      currentRole: scoreCurrentRole({ profile, claims, findings, linkedInProfile, employer, sourceIndex }),
+      recentActivity: scoreClaimField(profile.recentActivity, 'recentActivity', claims, sourceIndex),
+      ...contactFields,
+      expertise: scoreItems(profile.expertise || [], 'expertise', claims, sourceIndex),
+      achievements: scoreItems(profile.achievements || [], 'achievements', claims, sourceIndex)
+    };
+  }
+
+  const scored = Object.values(fields).flat().filter(field => field.value);
+
+  return {
+    overall: scored.length ? round(scored.reduce((sum, field) => sum + field.confidence, 0) / scored.length) : 0,
+    fields
+  };
+}
@@ -0,0 +1,112 @@
+// services/crawlerService.js
+import { setTimeout as sleep } from 'timers/promises';
+import { crawlConfig } from '../config/index.js';
+import { debugLog } from '../utils/logger.js';
+import { getRobots } from '../utils/robots.js';
+
+// Path words that usually lead to information about the site's owner or people, with their weight
+const RELEVANT_PATHS = [
+  [/about|bio|who-we-are|our-story/, 3],
+  [/contact|get-in-touch/, 3],
+  [/team|people|founders|leadership/, 2],
+  [/press|media|news|speaking|interviews?/, 2],
+  [/portfolio|work|projects|case-stud|cv|resume/, 2],
+  [/blog|writing|articles|posts/, 1]
+];
+
+// Never worth a visit: account pages, legal boilerplate, listings and downloads
+const SKIPPED_PATHS = /(login|log-in|signin|sign-in|signup|sign-up|register|cart|checkout|account|privacy|terms|cookie|legal|\/tag\/|\/tags\/|\/category\/|\/feed|\/wp-admin|\/wp-json|\.(pdf|jpe?g|png|gif|svg|webp|zip|mp3|mp4|xml|json|css|js)$)/;
+
+const siteOf = (url) => new URL(url).hostname.replace(/^www\./, '');
+
+function normaliseUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.toString().replace(/\/$/, '');
+}
+
+// Paths with a stray % (such as /100%-natural) are not valid escapes and are matched as written
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch (error) {
+    return pathname;
+  }
+}
+
+// Higher is more likely to be about the person or company; null means do not follow
+export function rankLink(url, terms = []) {
+  const { pathname } = new URL(url);
+  const path = decodePath(pathname).toLowerCase();
+  if (SKIPPED_PATHS.test(path)) return null;
+
+  let score = 0;
+  for (const [pattern, weight] of RELEVANT_PATHS) {
+    if (pattern.test(path)) score += weight;
+  }
+  score += terms.filter(term => term.length > 2 && path.includes(term.toLowerCase())).length;
+  // Shallow pages are preferred over deep ones with the same words
+  return score - path.split('/').filter(Boolean).length * 0.1;
+}
+
+// Best-first crawl of the seed's own site. seedLinks are the links found on the seed page;
+// visit(url) loads and extracts a page and returns its extraction (with links) or null.
+// Returns [{ url, depth, result }] for every page visited, not counting the seed; an aborted signal
+// ends the crawl early with the pages visited so far. page, when given, is used to read robots.txt.
+export async function crawlSite(seedUrl, seedLinks, { visit, visited = new Set(), terms = [], maxDepth = crawlConfig.maxDepth, maxPages = crawlConfig.maxPages, page, signal } = {}) {
+  if (maxDepth < 1 || maxPages < 1) return [];
+
+  const site = siteOf(seedUrl);
+  const robots = await getRobots(seedUrl, { page });
+  const delayMs = Math.max(1, Math.min(robots.crawlDelay || 1, crawlConfig.maxCrawlDelay)) * 1000;
+  const seen = new Set([normaliseUrl(seedUrl), ...Array.from(visited, url => normaliseUrl(url))]);
+  const frontier = [];
+  const pages = [];
+
+  const enqueue = (links, depth) => {
+    for (const link of links) {
+      let url;
+      try {
+        url = normaliseUrl(link);
+        if (!url.startsWith('http') || siteOf(url) !== site || seen.has(url)) continue;
+      } catch (error) {
+        continue;
+      }
+      seen.add(url);
+
+      const score = rankLink(url, terms);
+      if (score === null) continue;
+      if (!robots.allows(url)) {
+        debugLog('crawl:robots-disallowed', 'Skipping link disallowed by robots.txt', { url });
+        continue;
+      }
+      frontier.push({ url, depth, score });
+    }
+  };
+
+  enqueue(seedLinks, 1);
+
+  while (frontier.length > 0 && pages.length < maxPages && !signal?.aborted) {
+    // Highest score first, shallower first on a tie
+    frontier.sort((a, b) => b.score - a.score || a.depth - b.depth);
+    const { url, depth } = frontier.shift();
+    if (pages.length > 0) {
+      const waited = await sleep(delayMs, true, { signal }).catch(() => false);
+      if (!waited) break;
+    }
+
+    try {
+      const result = await visit(url);
+      pages.push({ url, depth, result });
+      if (depth < maxDepth && result?.links) {
+        enqueue(result.links, depth + 1);
+      }
+    } catch (error) {
+      debugLog('crawl:error', 'Error crawling page', { url, error: error.message });
+      pages.push({ url, depth, result: null, error: error.message });
+    }
+  }
+
+  debugLog('crawl:complete', 'Finished crawling site', { site, pages: pages.length, remaining: frontier.length });
+  return pages;
+}
@@ -0,0 +1,58 @@
+// services/duckDuckGoService.js
+import { setTimeout as sleep } from 'timers/promises';
+import { debugLog } from '../utils/logger.js';
+
+// The HTML endpoint links through /l/?uddg=<target>
+function unwrapDuckDuckGoUrl(href) {
+  try {
+    const url = new URL(href, 'https://duckduckgo.com');
+    const target = url.searchParams.get('uddg');
+    return target ? decodeURIComponent(target) : url.href;
+  } catch (e) {
+    return href;
+  }
+}
+
+// signal is checked between steps; a page load already under way runs to its own timeout
+export async function searchDuckDuckGo(page, query, { signal } = {}) {
+  debugLog('duckduckgo:search', `Searching DuckDuckGo`, { query });
+
+  try {
+    signal?.throwIfAborted();
+    await page.goto(`https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`);
+    await page.waitForLoadState('domcontentloaded');
+
+    signal?.throwIfAborted();
+    const rawResults = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('.result:not(.result--ad)')).map(item => {
+        const link = item.querySelector('a.result__a');
+        return {
+          url: link ? link.getAttribute('href') : '',
+          title: link ? link.textContent.trim() : '',
+          snippet: item.querySelector('.result__snippet')?.textContent.trim() || ''
+        };
+      });
+    });
+
+    const results = rawResults
+      .map(result => ({ ...result, url: result.url && unwrapDuckDuckGoUrl(result.url) }))
+      .filter(result => result.url && !result.url.includes('duckduckgo.com'));
+
+    debugLog('duckduckgo:results', `Found search results`, {
+      count: results.length,
+      firstResult: results[0]
+    });
+
+    // Add a small delay to avoid rate limiting
+    await sleep(1000, undefined, { signal });
+
+    return results;
+  } catch (error) {
+    signal?.throwIfAborted();
+    debugLog('duckduckgo:error', 'Error performing DuckDuckGo search', {
+      error: error.message,
+      query
+    });
+    throw new Error(`DuckDuckGo search failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,281 @@
+// services/entityResolutionService.js
+import { debugLog } from '../utils/logger.js';
+import { normaliseText } from './cacheService.js';
+
+const NICKNAMES = {
+  alexander: ['alex'], andrew: ['andy', 'drew'], anthony: ['tony'], benjamin: ['ben'],
+  catherine: ['cathy', 'kate'], charles: ['charlie', 'chuck'], christopher: ['chris'],
+  daniel: ['dan', 'danny'], david: ['dave'], deborah: ['debbie', 'deb'], edward: ['ed', 'ted'],
+  elizabeth: ['liz', 'beth', 'lizzie'], james: ['jim', 'jamie'], jennifer: ['jen', 'jenny'],
+  john: ['jack', 'johnny'], jonathan: ['jon'], joseph: ['joe'], katherine: ['kate', 'kathy', 'katie'],
+  margaret: ['maggie', 'meg', 'peggy'], matthew: ['matt'], michael: ['mike'], nicholas: ['nick'],
+  patricia: ['pat', 'trish'], richard: ['rick', 'rich', 'dick'], robert: ['rob', 'bob', 'bobby'],
+  samuel: ['sam'], stephen: ['steve'], steven: ['steve'], stuart: ['stu'], susan: ['sue'],
+  thomas: ['tom'], timothy: ['tim'], william: ['will', 'bill', 'liam']
+};
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'who', 'was', 'are', 'has', 'have',
+  'works', 'working', 'based', 'at', 'in', 'of', 'on', 'an', 'a', 'to', 'as', 'is'
+]);
+
+// Thresholds on the 0-1 scores below
+const MIN_NAME_SCORE = 0.5;
+const MIN_CANDIDATE_SCORE = 0.35;
+
+const tokens = (text) => normaliseText(text).split(' ').filter(Boolean);
+
+// Full name, first + last, nickname + last, initial + last, "last first" and joined handles
+export function nameVariants(name) {
+  const parts = tokens(name);
+  if (parts.length === 0) return { full: '', strong: [], weak: [], last: '' };
+
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  const firstNames = [first, ...(NICKNAMES[first] || [])];
+  const strong = new Set([parts.join(' ')]);
+  for (const firstName of firstNames) {
+    strong.add(`${firstName} ${last}`);
+    strong.add(`${firstName}${last}`);
+  }
+  strong.add(`${last} ${first}`);
+
+  return {
+    full: parts.join(' '),
+    strong: Array.from(strong),
+    weak: [`${first[0]} ${last}`, `${first[0]}${last}`],
+    last
+  };
+}
+
+const containsPhrase = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+// 1 for the full name, 0.9 for another strong variant, 0.6 for an initial, 0.2 for the surname alone
+export function scoreName(text, targetName) {
+  const variants = typeof targetName === 'string' ? nameVariants(targetName) : targetName;
+  const haystack = normaliseText(text);
+  if (!haystack || !variants.full) return 0;
+
+  if (containsPhrase(haystack, variants.full)) return 1;
+  if (variants.strong.some(variant => containsPhrase(haystack, variant))) return 0.9;
+  if (variants.weak.some(variant => containsPhrase(haystack, variant))) return 0.6;
+  if (containsPhrase(haystack, variants.last)) return 0.2;
+  return 0;
+}
+
+function contextKeywords(profile) {
+  const nameParts = new Set(tokens(profile.name));
+  return Array.from(new Set(tokens(profile.context)))
+    .filter(token => token.length > 2 && !STOPWORDS.has(token) && !nameParts.has(token));
+}
+
+// Two names refer to the same organisation or place when one contains the other
+export function sameEntity(a, b) {
+  const left = normaliseText(a);
+  const right = normaliseText(b);
+  if (left.length < 3 || right.length < 3) return false;
+  return containsPhrase(left, right) || containsPhrase(right, left);
+}
+
+function urlKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/$/, '')}`.toLowerCase();
+  } catch (error) {
+    return url.toLowerCase();
+  }
+}
+
+// Findings and LinkedIn profiles share one shape so they can be scored and grouped together
+function toCandidates(findings, linkedInProfiles) {
+  const pages = findings.map(info => ({
+    kind: 'page',
+    source: info.source,
+    name: info.personName || null,
+    employers: info.employer ? [info.employer] : [],
+    location: info.location || null,
+    text: info.content,
+    links: info.links || [],
+    finding: info
+  }));
+
+  const profiles = linkedInProfiles.map(linkedInProfile => ({
+    kind: 'linkedin',
+    source: linkedInProfile.url,
+    name: linkedInProfile.name,
+    employers: linkedInProfile.experience.map(entry => entry.company),
+    location: linkedInProfile.location,
+    text: [linkedInProfile.headline, linkedInProfile.about].filter(Boolean).join('\n'),
+    links: [],
+    linkedInProfile
+  }));
+
+  return [...profiles, ...pages];
+}
+
+function scoreCandidate(candidate, profile, variants, keywords) {
+  const name = Math.max(scoreName(candidate.name || '', variants), scoreName(candidate.text, variants) * 0.9);
+
+  const haystack = ` ${normaliseText([candidate.text, candidate.location, ...candidate.employers].filter(Boolean).join(' '))} `;
+  const context = keywords.length
+    ? keywords.filter(keyword => haystack.includes(` ${keyword} `)).length / keywords.length
+    : 0.5;
+
+  const employer = candidate.employers.some(company => sameEntity(company, profile.context)) ? 1 : 0;
+  const location = candidate.location && sameEntity(candidate.location, profile.context) ? 1 : 0;
+
+  return {
+    name,
+    context: Math.round(context * 100) / 100,
+    employer,
+    location,
+    total: Math.round((0.45 * name + 0.3 * context + 0.15 * employer + 0.1 * location) * 100) / 100
+  };
+}
+
+// Candidates are linked when either page links to the other or they name the same employer
+function linked(a, b) {
+  const aLinks = new Set(a.links.map(urlKey));
+  const bLinks = new Set(b.links.map(urlKey));
+  if (aLinks.has(urlKey(b.source)) || bLinks.has(urlKey(a.source))) return 'cross-link';
+  if (a.employers.some(company => b.employers.some(other => sameEntity(company, other)))) return 'employer';
+  return null;
+}
+
+function clusterCandidates(candidates) {
+  const parent = candidates.map((_, index) => index);
+  const find = (index) => parent[index] === index ? index : (parent[index] = find(parent[index]));
+  const evidence = candidates.map(() => new Set());
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const reason = linked(candidates[i], candidates[j]);
+      if (!reason) continue;
+      evidence[i].add(reason);
+      evidence[j].add(reason);
+      parent[find(i)] = find(j);
+    }
+  }
+
+  const clusters = new Map();
+  candidates.forEach((candidate, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, { members: [], evidence: new Set() });
+    clusters.get(root).members.push(candidate);
+    evidence[index].forEach(reason => clusters.get(root).evidence.add(reason));
+  });
+  return Array.from(clusters.values());
+}
+
+function clusterScore(cluster) {
+  const average = cluster.members.reduce((sum, member) => sum + member.score.total, 0) / cluster.members.length;
+  const corroboration = 0.05 * Math.min(cluster.members.length - 1, 4);
+  const crossLinked = cluster.evidence.has('cross-link') ? 0.05 : 0;
+  const linkedIn = cluster.members.some(member => member.kind === 'linkedin') ? 0.05 : 0;
+  return Math.min(1, Math.round((average + corroboration + crossLinked + linkedIn) * 100) / 100);
+}
+
+function rejectionReasons(candidate, selected) {
+  const reasons = [];
+  const selectedEmployers = selected.members.flatMap(member => member.employers);
+  const selectedLocations = selected.members.map(member => member.location).filter(Boolean);
+
+  if (candidate.employers.length && selectedEmployers.length &&
+      !candidate.employers.some(company => selectedEmployers.some(other => sameEntity(company, other)))) {
+    reasons.push(`employer "${candidate.employers[0]}" differs from the selected identity's "${selectedEmployers[0]}"`);
+  }
+  if (candidate.location && selectedLocations.length &&
+      !selectedLocations.some(location => sameEntity(candidate.location, location))) {
+    reasons.push(`location "${candidate.location}" differs from the selected identity's "${selectedLocations[0]}"`);
+  }
+  if (candidate.score.context < 0.2) {
+    reasons.push('little overlap with the research context');
+  }
+  return reasons;
+}
+
+const describeRejection = (candidate, reasons) => ({
+  source: candidate.source,
+  kind: candidate.kind,
+  name: candidate.name,
+  employer: candidate.employers[0] || null,
+  location: candidate.location,
+  score: candidate.score,
+  reasons
+});
+
+// Scores every finding and LinkedIn profile against the target, groups them into candidate identities
+// and keeps the best-scoring one. Candidates with no employer, location or links to or from other candidates cannot be
+// placed in a cluster, so they join the selected identity when they score well enough on name and context. So do
+// candidates from other clusters when nothing about them conflicts with the selected identity.
+export function resolveIdentity(profile, { findings = [], linkedInProfiles = [] } = {}) {
+  const variants = nameVariants(profile.name);
+  const keywords = contextKeywords(profile);
+  const rejected = [];
+
+  const candidates = toCandidates(findings, linkedInProfiles).map(candidate => ({
+    ...candidate,
+    score: scoreCandidate(candidate, profile, variants, keywords)
+  }));
+
+  const plausible = [];
+  for (const candidate of candidates) {
+    if (candidate.score.name < MIN_NAME_SCORE) {
+      rejected.push(describeRejection(candidate, [`name does not match any variant of "${profile.name}"`]));
+    } else if (candidate.score.total < MIN_CANDIDATE_SCORE) {
+      rejected.push(describeRejection(candidate, [`weak overall match (score ${candidate.score.total})`]));
+    } else {
+      plausible.push(candidate);
+    }
+  }
+
+  // Only links between candidates say anything about identity; links to unrelated pages do not
+  const crossLinked = (candidate) => plausible.some(other => other !== candidate && linked(candidate, other) === 'cross-link');
+  const anchored = plausible.filter(candidate => candidate.employers.length || candidate.location || crossLinked(candidate));
+  const unanchored = plausible.filter(candidate => !anchored.includes(candidate));
+
+  const clusters = clusterCandidates(anchored)
+    .map(cluster => ({ ...cluster, score: clusterScore(cluster) }))
+    .sort((a, b) => b.score - a.score);
+
+  const selected = clusters[0] || { members: [], evidence: new Set(), score: null };
+  const unconflicted = [];
+  for (const cluster of clusters.slice(1)) {
+    for (const candidate of cluster.members) {
+      const reasons = rejectionReasons(candidate, selected);
+      if (reasons.length) {
+        rejected.push(describeRejection(candidate, reasons));
+      } else {
+        unconflicted.push(candidate);
+      }
+    }
+  }
+
+  const members = [...selected.members, ...unconflicted, ...unanchored];
+  const selectedLinkedIn = members
+    .filter(member => member.kind === 'linkedin')
+    .sort((a, b) => b.score.total - a.score.total)[0];
+
+  const resolution = {
+    findings: members.filter(member => member.kind === 'page').map(member => member.finding),
+    linkedInProfile: selectedLinkedIn?.linkedInProfile || null,
+    identity: {
+      score: selected.score ?? (members.length ? clusterScore({ members, evidence: new Set() }) : null),
+      candidateCount: candidates.length,
+      clusterCount: clusters.length,
+      evidence: Array.from(selected.evidence),
+      employer: selected.members.flatMap(member => member.employers)[0] || null,
+      location: selected.members.map(member => member.location).find(Boolean) || null,
+      sources: members.map(member => member.source),
+      rejected
+    }
+  };
+
+  debugLog('identity:resolved', 'Resolved candidate identities', {
+    candidates: candidates.length,
+    clusters: clusters.length,
+    selected: members.length,
+    rejected: rejected.length
+  });
+  return resolution;
+}
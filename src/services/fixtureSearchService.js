@@ -0,0 +1,36 @@
+// services/fixtureSearchService.js
+import { readFile } from 'fs/promises';
+import { debugLog } from '../utils/logger.js';
+import { searchConfig } from '../config/index.js';
+
+// Fixture files map lowercased queries to result arrays, with "*" as the catch-all
+export async function searchFixtures(page, query) {
+  debugLog('fixture:search', `Searching fixtures`, { query });
+
+  try {
+    if (!searchConfig.fixturePath) {
+      throw new Error('SEARCH_FIXTURES_PATH is not configured');
+    }
+
+    const fixtures = JSON.parse(await readFile(searchConfig.fixturePath, 'utf8'));
+    const key = query.trim().toLowerCase();
+    const results = (fixtures[key] || fixtures['*'] || []).map(result => ({
+      url: result.url,
+      title: result.title || '',
+      snippet: result.snippet || ''
+    }));
+
+    debugLog('fixture:results', `Found search results`, {
+      count: results.length,
+      firstResult: results[0]
+    });
+
+    return results;
+  } catch (error) {
+    debugLog('fixture:error', 'Error reading search fixtures', {
+      error: error.message,
+      query
+    });
+    throw new Error(`Fixture search failed: ${error.message}`);
+  }
+}
@@ -1,13 +1,23 @@
 // services/googleService.js
+import { setTimeout as sleep } from 'timers/promises';
 import { debugLog } from '../utils/logger.js';
 
-export async function searchGoogle(page, query) {
+// signal is checked between steps; a page load already under way runs to its own timeout
+export async function searchGoogle(page, query, { signal } = {}) {
   debugLog('google:search', `Searching Google`, { query });
   
   try {
+    signal?.throwIfAborted();
     await page.goto(`https://www.google.com/search?q=${encodeURIComponent(query)}`);
     await page.waitForLoadState('networkidle');
+
+    // Google redirects suspected bots to a CAPTCHA interstitial
+    if (page.url().includes('/sorry/')) {
+      throw new Error('Blocked by CAPTCHA');
+    }
     
+    signal?.throwIfAborted();
+
     // Handle potential cookie consent
     try {
       await page.click('button:has-text("Accept all")');
@@ -17,6 +27,7 @@ export async function searchGoogle(page, query) {
     }
     
     // Extract search results
+    signal?.throwIfAborted();
     const results = await page.evaluate(() => {
       const links = Array.from(document.querySelectorAll('div.g a[href]'));
       return links.map(link => ({
@@ -38,10 +49,11 @@ export async function searchGoogle(page, query) {
     });
 
     // Add a small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await sleep(1000, undefined, { signal });
     
     return results;
   } catch (error) {
+    signal?.throwIfAborted();
     debugLog('google:error', 'Error performing Google search', { 
       error: error.message,
       query 
@@ -50,12 +62,12 @@ export async function searchGoogle(page, query) {
   }
 }
 
-export async function searchGoogleWithRetry(page, query, maxRetries = 3) {
+export async function searchGoogleWithRetry(page, query, maxRetries = 3, { signal } = {}) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      return await searchGoogle(page, query);
+      return await searchGoogle(page, query, { signal });
     } catch (error) {
-      if (attempt === maxRetries) throw error;
+      if (attempt === maxRetries || signal?.aborted) throw error;
       
       debugLog('google:retry', `Retrying search after error`, { 
         attempt,
@@ -63,7 +75,7 @@ export async function searchGoogleWithRetry(page, query, maxRetries = 3) {
       });
       
       // Exponential backoff
-      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+      await sleep(Math.pow(2, attempt) * 1000, undefined, { signal });
     }
   }
 }
\ No newline at end of file
@@ -1,12 +1,77 @@
 // src/services/linkedInService.js
 import { debugLog } from '../utils/logger.js';
+import {
+  acquireAccount,
+  loadSession,
+  saveSession,
+  clearSession,
+  restoreStorageState,
+  markAccountCheckpointed
+} from './linkedInSessionService.js';
+import { scoreName } from './entityResolutionService.js';
 import { z } from 'zod';
 
+const PIN_INPUT = 'input[name="pin"], #input__email_verification_pin, #input__phone_verification_pin, input[name="two_step_verification_pin"]';
+const PIN_SUBMIT = '#email-pin-submit-button, #two-step-submit-button, button[type="submit"]';
+const MAX_CHALLENGE_ROUNDS = 3;
+
+// Fields are nullable rather than optional so the schema also works with strict structured outputs
+export const LinkedInProfileSchema = z.object({
+  name: z.string(),
+  headline: z.string().nullable(),
+  location: z.string().nullable(),
+  about: z.string().nullable(),
+  experience: z.array(z.object({
+    title: z.string(),
+    company: z.string(),
+    startDate: z.string().nullable(),
+    endDate: z.string().nullable().describe('null or "Present" for a current role'),
+    location: z.string().nullable(),
+    description: z.string().nullable()
+  })),
+  education: z.array(z.object({
+    school: z.string(),
+    degree: z.string().nullable(),
+    field: z.string().nullable(),
+    startDate: z.string().nullable(),
+    endDate: z.string().nullable()
+  })),
+  skills: z.array(z.string())
+});
+
+export const LinkedInCompanySchema = z.object({
+  name: z.string(),
+  tagline: z.string().nullable(),
+  about: z.string().nullable(),
+  website: z.string().nullable(),
+  industry: z.string().nullable(),
+  companySize: z.string().nullable().describe('the size band shown, e.g. "51-200 employees"'),
+  employeesOnLinkedIn: z.number().nullable(),
+  headquarters: z.string().nullable(),
+  founded: z.string().nullable(),
+  specialties: z.array(z.string())
+});
+
+export const LinkedInActivitySchema = z.object({
+  posts: z.array(z.object({
+    type: z.enum(['post', 'article', 'repost', 'comment']),
+    text: z.string(),
+    date: z.string().nullable().describe('as shown on the page, e.g. "3d" or "2w"'),
+    url: z.string().nullable()
+  }))
+});
+
+// options.onChallenge({ type, url }) waits for an operator and resolves to { pin } or { solved: true }, and
+// its optional close(status) is told whether LinkedIn let us through; without it, challenge pages fail the login. options.signal stops work between page loads and extractions.
 export class LinkedInService {
-  constructor(stagehand) {
+  constructor(stagehand, { onChallenge = null, signal } = {}) {
     this.stagehand = stagehand;
+    this.onChallenge = onChallenge;
+    this.signal = signal;
     this.isLoggedIn = false;
     this.cookiesAccepted = false;
+    this.account = null;
+    this.loginError = null;
   }
 
   async waitForNavigationSafely(timeoutMs = 30000) {
@@ -46,60 +111,201 @@ export class LinkedInService {
     }
   }
 
-  async login() {
-    if (this.isLoggedIn) return;
+  isCheckpointUrl(url) {
+    return url.includes('/checkpoint/');
+  }
+
+  // Classifies the interstitial LinkedIn is showing, if any: captcha, two-factor, pin or a generic checkpoint
+  async detectChallenge() {
+    const url = this.stagehand.page.url();
+    const onCheckpoint = this.isCheckpointUrl(url);
+    const type = await this.stagehand.page.evaluate((checkpoint) => {
+      if (document.querySelector('iframe[src*="captcha"], iframe[src*="arkoselabs"], #captcha-internal')) return 'captcha';
+      if (document.querySelector('#input__phone_verification_pin, input[name="two_step_verification_pin"]')) return 'two-factor';
+      if (checkpoint && /two-step verification|authenticator app/i.test(document.body?.innerText || '')) return 'two-factor';
+      if (document.querySelector('#input__email_verification_pin, input[name="pin"]')) return 'pin';
+      return null;
+    }, onCheckpoint).catch(() => null);
+
+    if (type) return { type, url };
+    return onCheckpoint ? { type: 'checkpoint', url } : null;
+  }
+
+  async submitPin(pin) {
+    await this.stagehand.page.fill(PIN_INPUT, pin);
+    await Promise.all([
+      this.stagehand.page.click(PIN_SUBMIT),
+      this.stagehand.page.waitForNavigation({ waitUntil: 'domcontentloaded' }).catch(() => {})
+    ]);
+  }
+
+  // Hands the challenge to an operator and applies their response until LinkedIn lets us through
+  async passChallenge(challenge) {
+    if (!this.onChallenge) {
+      throw new Error(`LinkedIn ${challenge.type} challenge requires a human`);
+    }
+
+    let current = challenge;
+    for (let round = 0; current && round < MAX_CHALLENGE_ROUNDS; round++) {
+      this.signal?.throwIfAborted();
+      debugLog('linkedin:challenge', 'LinkedIn challenge detected', { type: current.type, url: current.url });
+      const resolution = await this.onChallenge(current);
+      if (resolution.pin) {
+        await this.submitPin(resolution.pin);
+      }
+      // A challenge marked solved was cleared in the live browser; just let the page settle
+      await this.waitForNavigationSafely(10000);
+      current = await this.detectChallenge();
+    }
+
+    if (current) {
+      await this.onChallenge.close?.('failed');
+      throw new Error(`LinkedIn ${current.type} challenge is still showing after ${MAX_CHALLENGE_ROUNDS} operator responses`);
+    }
+    await this.onChallenge.close?.('passed');
+    debugLog('linkedin:challenge', 'LinkedIn challenge passed');
+  }
+
+  // A live session lands on LinkedIn with the global nav rather than a login, authwall or checkpoint page
+  async isSessionActive() {
+    const url = this.stagehand.page.url();
+    if (/linkedin\.com\/(login|authwall|checkpoint|uas\/login)/.test(url)) {
+      return false;
+    }
+    return this.stagehand.page.evaluate(() => {
+      return !!document.querySelector('#global-nav, .global-nav');
+    }).catch(() => false);
+  }
+
+  async restoreSession(account) {
+    const storageState = await loadSession(account.email);
+    if (!storageState) return false;
+
+    await restoreStorageState(this.stagehand.context, storageState);
+    await this.stagehand.page.goto('https://www.linkedin.com/feed/', {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+    await this.waitForNavigationSafely();
+
+    const challenge = await this.detectChallenge();
+    if (challenge) {
+      await this.passChallenge(challenge);
+    }
+
+    if (await this.isSessionActive()) {
+      debugLog('linkedin:login', 'Restored saved LinkedIn session');
+      return true;
+    }
 
+    debugLog('linkedin:login', 'Saved LinkedIn session has expired');
+    await clearSession(account.email);
+    await this.stagehand.context.clearCookies();
+    return false;
+  }
+
+  async loginWithPassword(account) {
+    debugLog('linkedin:login', 'Attempting LinkedIn login');
+    await this.stagehand.page.goto('https://www.linkedin.com/login', {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+    
+    await this.waitForNavigationSafely();
+    await this.handleCookieBanners();
+    
+    // Wait for login form
+    await this.stagehand.page.waitForSelector('input[name="session_key"]', { timeout: 10000 });
+    
+    // Fill login form
+    await this.stagehand.page.fill('input[name="session_key"]', account.email);
+    await this.stagehand.page.fill('input[name="session_password"]', account.password);
+    
+    // Submit and wait for navigation
+    await Promise.all([
+      this.stagehand.page.click('button[type="submit"]'),
+      this.stagehand.page.waitForNavigation({ waitUntil: 'domcontentloaded' })
+    ]);
+
+    await this.waitForNavigationSafely();
+
+    const challenge = await this.detectChallenge();
+    if (challenge) {
+      await this.passChallenge(challenge);
+    }
+    
+    // Verify login
+    const isLoggedIn = await this.stagehand.page.evaluate(() => {
+      return !document.querySelector('.login-form');
+    }).catch(() => false);
+    
+    if (!isLoggedIn) {
+      throw new Error('Login verification failed');
+    }
+    
+    // Handle skip button if present
     try {
-      debugLog('linkedin:login', 'Attempting LinkedIn login');
-      await this.stagehand.page.goto('https://www.linkedin.com/login', {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000
-      });
-      
-      await this.waitForNavigationSafely();
-      await this.handleCookieBanners();
-      
-      // Wait for login form
-      await this.stagehand.page.waitForSelector('input[name="session_key"]', { timeout: 10000 });
-      
-      // Fill login form
-      await this.stagehand.page.fill('input[name="session_key"]', process.env.LINKEDIN_EMAIL);
-      await this.stagehand.page.fill('input[name="session_password"]', process.env.LINKEDIN_PASSWORD);
-      
-      // Submit and wait for navigation
-      await Promise.all([
-        this.stagehand.page.click('button[type="submit"]'),
-        this.stagehand.page.waitForNavigation({ waitUntil: 'domcontentloaded' })
-      ]);
+      await this.stagehand.page.click('button:has-text("Skip")', { timeout: 5000 });
+    } catch (e) {
+      // Ignore if prompt doesn't appear
+    }
+  }
 
-      await this.waitForNavigationSafely();
-      
-      // Verify login
-      const isLoggedIn = await this.stagehand.page.evaluate(() => {
-        return !document.querySelector('.login-form');
-      }).catch(() => false);
-      
-      if (!isLoggedIn) {
-        throw new Error('Login verification failed');
+  // Reuse a saved session where possible; accounts left on a challenge page are rested and the next one is tried
+  async login() {
+    if (this.isLoggedIn) return;
+    // Once every account has failed, later profiles in the same job should not trigger more challenges
+    if (this.loginError) throw this.loginError;
+
+    const triedAccounts = [];
+    while (true) {
+      this.signal?.throwIfAborted();
+      let account;
+      try {
+        account = await acquireAccount(triedAccounts);
+      } catch (error) {
+        this.loginError = error;
+        throw error;
       }
+      triedAccounts.push(account.email);
 
-      this.isLoggedIn = true;
-      
-      // Handle skip button if present
       try {
-        await this.stagehand.page.click('button:has-text("Skip")', { timeout: 5000 });
-      } catch (e) {
-        // Ignore if prompt doesn't appear
+        if (!await this.restoreSession(account)) {
+          await this.loginWithPassword(account);
+          await saveSession(account.email, await this.stagehand.context.storageState());
+        }
+
+        this.account = account;
+        this.isLoggedIn = true;
+        debugLog('linkedin:login', 'LinkedIn login successful');
+        return;
+      } catch (error) {
+        // An aborted job says nothing about the account
+        this.signal?.throwIfAborted();
+        debugLog('linkedin:login-error', 'LinkedIn login failed', { error: error.message });
+
+        if (this.isCheckpointUrl(this.stagehand.page.url())) {
+          await markAccountCheckpointed(account.email, error.message);
+          continue;
+        }
+        this.loginError = error;
+        throw error;
       }
+    }
+  }
 
-      debugLog('linkedin:login', 'LinkedIn login successful');
-    } catch (error) {
-      debugLog('linkedin:login-error', 'LinkedIn login failed', { error: error.message });
-      throw error;
+  // Drop a session LinkedIn has invalidated mid-job so the next login() starts fresh
+  async expireSession() {
+    if (this.account) {
+      await clearSession(this.account.email);
     }
+    await this.stagehand.context.clearCookies();
+    this.isLoggedIn = false;
+    this.account = null;
   }
 
   async extractContactInfo() {
+    this.signal?.throwIfAborted();
     try {
       await this.waitForNavigationSafely();
 
@@ -122,20 +328,115 @@ export class LinkedInService {
     }
   }
 
+  // Experience, education and skills sections render as they scroll into view
+  async loadLazySections() {
+    for (let i = 0; i < 4 && !this.signal?.aborted; i++) {
+      await this.stagehand.page.evaluate(() => window.scrollBy(0, window.innerHeight * 2)).catch(() => {});
+      await this.stagehand.page.waitForTimeout(750);
+    }
+    await this.stagehand.page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+  }
+
+  // Structured profile from the currently loaded profile page; null if extraction fails
+  async extractProfile() {
+    this.signal?.throwIfAborted();
+    try {
+      await this.loadLazySections();
+
+      const profile = await this.stagehand.page.extract({
+        instruction: "Extract this LinkedIn profile: name, headline, location, the About section, every experience entry with title, company, start and end dates, location and description, every education entry, and the listed skills",
+        schema: LinkedInProfileSchema
+      });
+
+      debugLog('linkedin:profile', 'Extracted LinkedIn profile', {
+        experience: profile.experience.length,
+        education: profile.education.length,
+        skills: profile.skills.length
+      });
+      return profile;
+
+    } catch (error) {
+      debugLog('linkedin:profile-error', 'Error extracting LinkedIn profile', { error: error.message });
+      return null;
+    }
+  }
+
+  // Recent posts and articles from the profile's activity tab; navigates away from the profile page
+  async extractRecentActivity(profileUrl, limit = 5) {
+    this.signal?.throwIfAborted();
+    try {
+      const activityUrl = `${profileUrl.replace(/\/$/, '')}/recent-activity/all/`;
+      await this.stagehand.page.goto(activityUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      await this.waitForNavigationSafely();
+
+      const { posts } = await this.stagehand.page.extract({
+        instruction: `Extract the ${limit} most recent posts, articles, reposts or comments in this activity feed, with their text, relative date and link`,
+        schema: LinkedInActivitySchema
+      });
+
+      debugLog('linkedin:activity', 'Extracted LinkedIn activity', { count: posts.length });
+      return posts.slice(0, limit);
+
+    } catch (error) {
+      debugLog('linkedin:activity-error', 'Error extracting LinkedIn activity', { error: error.message });
+      return [];
+    }
+  }
+
+  async goto(url) {
+    await this.login();
+    this.signal?.throwIfAborted();
+    await this.stagehand.page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+    await this.waitForNavigationSafely();
+  }
+
+  // Company page About tab: size, industry, headquarters and specialties; null if extraction fails
+  async extractCompany(companyUrl) {
+    this.signal?.throwIfAborted();
+    try {
+      const baseUrl = companyUrl.split('?')[0].replace(/\/$/, '').replace(/\/(about|people|posts|jobs|life)$/, '');
+      const aboutUrl = `${baseUrl}/about/`;
+      await this.openPage(aboutUrl);
+      await this.handleCookieBanners();
+
+      const company = await this.stagehand.page.extract({
+        instruction: "Extract this LinkedIn company page: name, tagline, overview, website, industry, company size, employee count on LinkedIn, headquarters, founding year and specialties",
+        schema: LinkedInCompanySchema
+      });
+
+      debugLog('linkedin:company', 'Extracted LinkedIn company page', { url: aboutUrl, name: company.name });
+      return { ...company, url: baseUrl };
+
+    } catch (error) {
+      debugLog('linkedin:company-error', 'Error extracting LinkedIn company page', { error: error.message, url: companyUrl });
+      return null;
+    }
+  }
+
+  // Being bounced to a login or authwall page means the session expired mid-job; log in again once
+  async openPage(url) {
+    await this.goto(url);
+    if (/linkedin\.com\/(login|authwall|uas\/login)/.test(this.stagehand.page.url())) {
+      debugLog('linkedin:navigate', 'LinkedIn session expired; logging in again');
+      await this.expireSession();
+      await this.goto(url);
+    }
+  }
+
   async navigateToProfile(url, targetPerson) {
     try {
-      await this.login();
       debugLog('linkedin:navigate', 'Navigating to LinkedIn profile', { url });
       
       // Clean up the URL to ensure it's a proper LinkedIn profile URL
       const profileUrl = url.split('?')[0]; // Remove query parameters
       
-      await this.stagehand.page.goto(profileUrl, {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000
-      });
-      
-      await this.waitForNavigationSafely();
+      await this.openPage(profileUrl);
       await this.handleCookieBanners();
       
       // Verify we're on a profile page
@@ -148,6 +449,7 @@ export class LinkedInService {
       }
 
       // Extract profile information for verification
+      this.signal?.throwIfAborted();
       const profileInfo = await this.stagehand.page.extract({
         instruction: `Extract basic profile information to verify this is ${targetPerson.name}'s profile`,
         schema: z.object({
@@ -157,16 +459,13 @@ export class LinkedInService {
         })
       });
 
-      // Simple name matching
-      const namesMatch = profileInfo.name.toLowerCase().includes(targetPerson.name.toLowerCase()) ||
-                        targetPerson.name.toLowerCase().includes(profileInfo.name.toLowerCase());
-
-      if (!namesMatch) {
+      // Accept name variants here (nicknames, initials); whether it is the right person is decided by resolveIdentity
+      if (scoreName(profileInfo.name, targetPerson.name) < 0.5) {
         throw new Error('Profile does not match target person');
       }
       
       debugLog('linkedin:navigate', 'Successfully loaded LinkedIn profile');
-      return true;
+      return { ...profileInfo, url: profileUrl };
 
     } catch (error) {
       debugLog('linkedin:navigate-error', 'Failed to navigate to profile', { 
@@ -0,0 +1,106 @@
+// src/services/linkedInSessionService.js
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { cacheConfig, linkedInConfig } from '../config/index.js';
+
+// Account emails are hashed in key names so they do not show up in Redis key listings
+const accountId = (email) => createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16);
+const sessionKey = (email) => `linkedin:session:${accountId(email)}`;
+const cooldownKey = (email) => `linkedin:cooldown:${accountId(email)}`;
+const CURSOR_KEY = 'linkedin:account-cursor';
+
+function encryptionKey() {
+  return createHash('sha256').update(linkedInConfig.sessionEncryptionKey).digest();
+}
+
+// Without SESSION_ENCRYPTION_KEY (or with it left as the example placeholder) sessions are neither saved
+// nor restored, and every job logs in with a password
+function sessionsEnabled() {
+  if (linkedInConfig.sessionEncryptionKey) return true;
+  debugLog('linkedin:session-disabled', 'SESSION_ENCRYPTION_KEY is not set; LinkedIn sessions are not saved');
+  return false;
+}
+
+// AES-256-GCM; stored as base64 iv.tag.ciphertext
+function encrypt(plaintext) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(payload) {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+export async function saveSession(email, storageState) {
+  if (!sessionsEnabled()) return;
+  await getRedis().set(sessionKey(email), encrypt(JSON.stringify(storageState)), 'PX', cacheConfig.session.persistDuration);
+  debugLog('linkedin:session-save', 'Saved LinkedIn session', { account: accountId(email), cookies: storageState.cookies.length });
+}
+
+export async function loadSession(email) {
+  if (!sessionsEnabled()) return null;
+  const payload = await getRedis().get(sessionKey(email));
+  if (!payload) return null;
+
+  try {
+    return JSON.parse(decrypt(payload));
+  } catch (error) {
+    // A rotated encryption key or corrupted entry just means logging in again
+    debugLog('linkedin:session-error', 'Discarding unreadable LinkedIn session', { account: accountId(email), error: error.message });
+    await clearSession(email);
+    return null;
+  }
+}
+
+export async function clearSession(email) {
+  await getRedis().del(sessionKey(email));
+}
+
+// Cookies go straight into the context; localStorage is replayed by an init script on matching origins
+export async function restoreStorageState(context, storageState) {
+  if (storageState.cookies?.length) {
+    await context.addCookies(storageState.cookies);
+  }
+  if (storageState.origins?.length) {
+    await context.addInitScript((origins) => {
+      const entry = origins.find(o => o.origin === window.location.origin);
+      if (!entry) return;
+      for (const { name, value } of entry.localStorage) {
+        window.localStorage.setItem(name, value);
+      }
+    }, storageState.origins);
+  }
+}
+
+// Round-robin over the configured accounts, skipping any that are cooling down after a checkpoint
+export async function acquireAccount(excludeEmails = []) {
+  const redis = getRedis();
+  const accounts = linkedInConfig.accounts;
+  if (accounts.length === 0) {
+    throw new Error('No LinkedIn accounts configured');
+  }
+
+  const start = await redis.incr(CURSOR_KEY);
+  for (let i = 0; i < accounts.length; i++) {
+    const account = accounts[(start + i) % accounts.length];
+    if (excludeEmails.includes(account.email)) continue;
+    if (await redis.exists(cooldownKey(account.email))) continue;
+
+    debugLog('linkedin:account', 'Selected LinkedIn account', { account: accountId(account.email) });
+    return account;
+  }
+
+  throw new Error('All LinkedIn accounts are cooling down after checkpoints');
+}
+
+export async function markAccountCheckpointed(email, reason) {
+  await getRedis().set(cooldownKey(email), reason, 'EX', linkedInConfig.checkpointCooldown);
+  await clearSession(email);
+  debugLog('linkedin:account-cooldown', 'LinkedIn account put into cooldown', { account: accountId(email), reason });
+}
@@ -0,0 +1,264 @@
+// services/llmService.js
+import { setTimeout as sleep } from 'timers/promises';
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { zodResponseFormat } from 'openai/helpers/zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { debugLog } from '../utils/logger.js';
+import { sanitizeJsonOutput } from '../utils/sanitise.js';
+import { compileJsonSchema } from '../utils/jsonSchema.js';
+import { llmConfig, resolveModel } from '../config/index.js';
+
+// Each adapter exposes complete({ model, messages, temperature, maxTokens, schema, jsonSchema, schemaName, signal })
+// and resolves to the reply text; when a zod schema or plain JSON Schema is given it asks for JSON natively
+function createOpenAIAdapter(name, options, { nativeSchemas = true } = {}) {
+  const client = new OpenAI({
+    apiKey: options.apiKey,
+    baseURL: options.baseURL,
+    timeout: 30000, // 30 seconds timeout
+    maxRetries: 0
+  });
+
+  return {
+    name,
+    async complete({ model, messages, temperature, maxTokens, schema, jsonSchema, schemaName, signal }) {
+      let responseFormat;
+      if (schema || jsonSchema) {
+        // OpenAI enforces the schema itself; compatible servers usually only offer a JSON mode.
+        // Caller-supplied JSON Schemas may use keywords strict mode rejects, so they are sent non-strict
+        if (!nativeSchemas) {
+          responseFormat = { type: 'json_object' };
+        } else if (schema) {
+          responseFormat = zodResponseFormat(schema, schemaName);
+        } else {
+          responseFormat = { type: 'json_schema', json_schema: { name: schemaName, schema: jsonSchema, strict: false } };
+        }
+      }
+
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        presence_penalty: 0.1,
+        frequency_penalty: 0.1,
+        response_format: responseFormat
+      }, { signal });
+      return response.choices[0].message.content;
+    }
+  };
+}
+
+function createAnthropicAdapter(name, options) {
+  const client = new Anthropic({
+    apiKey: options.apiKey,
+    timeout: 30000,
+    maxRetries: 0
+  });
+
+  return {
+    name,
+    async complete({ model, messages, temperature, maxTokens, schema, jsonSchema, schemaName, signal }) {
+      // Anthropic takes system prompts separately from the conversation turns
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const request = {
+        model,
+        system: system || undefined,
+        messages: messages.filter(m => m.role !== 'system'),
+        temperature,
+        max_tokens: maxTokens
+      };
+
+      // Structured output comes from forcing a single tool call whose input is the schema
+      if (schema || jsonSchema) {
+        const { $schema, ...inputSchema } = schema ? zodToJsonSchema(schema, { target: 'openApi3' }) : jsonSchema;
+        request.tools = [{
+          name: schemaName,
+          description: 'Return the answer in the required structure',
+          input_schema: inputSchema
+        }];
+        request.tool_choice = { type: 'tool', name: schemaName };
+      }
+
+      const response = await client.messages.create(request, { signal });
+
+      const toolUse = response.content.find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input);
+      }
+      return response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    }
+  };
+}
+
+const adapterFactories = {
+  openai: createOpenAIAdapter,
+  anthropic: createAnthropicAdapter,
+  // Any OpenAI-compatible endpoint (Ollama, vLLM, ...)
+  local: (name, options) => createOpenAIAdapter(name, options, { nativeSchemas: false })
+};
+
+const adapters = new Map();
+
+function getAdapter(provider) {
+  if (!adapters.has(provider)) {
+    adapters.set(provider, adapterFactories[provider](provider, llmConfig.providers[provider]));
+  }
+  return adapters.get(provider);
+}
+
+function isProviderConfigured(provider) {
+  const options = llmConfig.providers[provider];
+  if (!options || !adapterFactories[provider]) return false;
+  return provider === 'local' ? !!options.baseURL : !!options.apiKey;
+}
+
+// The task's own model goes first, then every other configured provider's default model
+export function getModelChain(task) {
+  const primary = resolveModel(task);
+  const chain = [];
+  if (primary && isProviderConfigured(primary.provider)) {
+    chain.push(primary);
+  }
+
+  for (const provider of llmConfig.fallbackOrder) {
+    if (provider === primary?.provider || !isProviderConfigured(provider)) continue;
+    const model = llmConfig.providers[provider].defaultModel;
+    if (model) {
+      chain.push({ provider, model });
+    }
+  }
+  return chain;
+}
+
+async function completeWithFallback(messages, { task, temperature, maxRetries, maxTokens, schema, jsonSchema, schemaName, signal }) {
+  const chain = getModelChain(task);
+  if (chain.length === 0) {
+    throw new Error(`No LLM provider configured for task "${task}"`);
+  }
+
+  debugLog('llm:call', 'Starting LLM call', {
+    task,
+    chain: chain.map(({ provider, model }) => `${provider}:${model}`).join(', '),
+    messagesCount: messages.length,
+    temperature,
+    schemaName: schema || jsonSchema ? schemaName : null
+  });
+
+  let lastError;
+  for (const { provider, model } of chain) {
+    const adapter = getAdapter(provider);
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      signal?.throwIfAborted();
+      try {
+        const rawResponse = await adapter.complete({ model, messages, temperature, maxTokens, schema, jsonSchema, schemaName, signal });
+
+        debugLog('llm:success', 'LLM call succeeded', { task, provider, model, attempt });
+        return sanitizeJsonOutput(rawResponse || '');
+
+      } catch (error) {
+        // An aborted call is not a provider failure; there is nothing to retry or fall back for
+        signal?.throwIfAborted();
+        lastError = error;
+        debugLog('llm:error', 'LLM request failed', {
+          task,
+          provider,
+          model,
+          attempt,
+          error: error.message,
+          status: error.status
+        });
+
+        // Client errors other than rate limits will not succeed on retry
+        if (error.status && error.status < 500 && error.status !== 429) break;
+        if (attempt === maxRetries) break;
+
+        const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
+        await sleep(delay, undefined, { signal });
+      }
+    }
+
+    debugLog('llm:fallback', 'Provider exhausted; falling back to next provider', { task, provider });
+  }
+
+  throw lastError;
+}
+
+// validate is a zod schema or a compiled JSON Schema validator
+function validateReply(text, validate) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { success: false, problems: `Reply is not valid JSON: ${error.message}` };
+  }
+
+  if (typeof validate === 'function') {
+    return validate(data);
+  }
+  const result = validate.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return {
+    success: false,
+    problems: result.error.errors.map(e => `${e.path.join('.') || '(root)'}: ${e.message}`).join('\n')
+  };
+}
+
+// Without a schema this resolves to the reply text. With a zod schema (or a plain JSON Schema
+// as jsonSchema) it resolves to the validated object, re-prompting the model with the
+// validation problems before giving up. An AbortSignal as signal cancels the call in flight.
+export async function makeGPTCall(messages, {
+  task = 'default',
+  temperature = 0.7,
+  maxRetries = 3,
+  maxTokens = 1500,
+  schema = null,
+  jsonSchema = null,
+  schemaName = 'response',
+  repairAttempts = 1,
+  signal
+} = {}) {
+  const options = { task, temperature, maxRetries, maxTokens, schema, jsonSchema, schemaName, signal };
+  let conversation = messages;
+  let reply = await completeWithFallback(conversation, options);
+  if (!schema && !jsonSchema) {
+    return reply;
+  }
+
+  const validator = schema || compileJsonSchema(jsonSchema);
+  for (let repair = 0; ; repair++) {
+    const validation = validateReply(reply, validator);
+    if (validation.success) {
+      return validation.data;
+    }
+
+    debugLog('llm:validation-error', 'LLM reply failed schema validation', {
+      task,
+      schemaName,
+      repair,
+      problems: validation.problems
+    });
+    if (repair >= repairAttempts) {
+      throw new Error(`LLM reply for "${schemaName}" failed validation: ${validation.problems}`);
+    }
+
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: reply },
+      {
+        role: 'user',
+        content: `Your reply did not match the required "${schemaName}" structure:
+${validation.problems}
+
+Reply again with only the corrected JSON object.`
+      }
+    ];
+    reply = await completeWithFallback(conversation, options);
+  }
+}
@@ -0,0 +1,144 @@
+// services/pagePoolService.js
+import { researchConfig } from '../config/index.js';
+import { debugLog } from '../utils/logger.js';
+import { dismissNativeDialogs } from '../utils/dialogHandler.js';
+
+const OPEN_PAGE_TIMEOUT_MS = 15000;
+
+export function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+// Stagehand's "popup" hook puts its own wrapper on the browser context's "page" event and gives no way
+// to remove it, so the wrapper is picked out of the context's listeners; returns a function removing it
+function watchPopups(stagehand, listener) {
+  const context = stagehand.page.context();
+  const existing = new Set(context.listeners('page'));
+  stagehand.page.on('popup', listener);
+  const added = context.listeners('page').filter(wrapper => !existing.has(wrapper));
+  return () => added.forEach(wrapper => context.removeListener('page', wrapper));
+}
+
+// Stagehand 1.x only gives act/extract/observe to its own page and to pages announced through its
+// "popup" hook, which wraps every new page in the context. Extra pages are opened through that hook
+// and matched to the Playwright page we opened by their main frame. Resolves to { pages, unwatch },
+// where unwatch removes the hook.
+async function openExtraPages(stagehand, count) {
+  const announced = [];
+  const waiting = [];
+  const unwatch = watchPopups(stagehand, (page) => {
+    const index = waiting.findIndex(waiter => waiter.raw.mainFrame() === page.mainFrame());
+    if (index === -1) {
+      announced.push(page);
+    } else {
+      waiting.splice(index, 1)[0].resolve(page);
+    }
+  });
+
+  const pages = [];
+  for (let i = 0; i < count; i++) {
+    let raw = null;
+    try {
+      raw = await stagehand.context.newPage();
+      const index = announced.findIndex(page => page.mainFrame() === raw.mainFrame());
+      const page = index !== -1
+        ? announced.splice(index, 1)[0]
+        : await new Promise((resolve, reject) => {
+          const timeout = setTimeout(() => reject(new Error('timed out waiting for the page to initialise')), OPEN_PAGE_TIMEOUT_MS);
+          waiting.push({ raw, resolve: (page) => { clearTimeout(timeout); resolve(page); } });
+        });
+      pages.push(page);
+    } catch (error) {
+      // A smaller pool still works, just more slowly
+      debugLog('pool:open-error', 'Could not open an extra page', { error: error.message });
+      await raw?.close().catch(() => {});
+      break;
+    }
+  }
+  return { pages, unwatch };
+}
+
+// A set of pages in the research session that tasks are spread across. run(domain, task) resolves to
+// task(page) once a page is free and the domain's politeness limits allow: at most domainConcurrency
+// tasks per domain at once, started at least domainInterval ms apart. Once signal aborts, queued and
+// new tasks are rejected with its reason; tasks already running finish on their own.
+export async function createPagePool(stagehand, {
+  size = researchConfig.pageConcurrency,
+  domainConcurrency = researchConfig.domainConcurrency,
+  domainInterval = researchConfig.domainInterval,
+  signal
+} = {}) {
+  const { pages: extraPages, unwatch } = size > 1 ? await openExtraPages(stagehand, size - 1) : { pages: [], unwatch: () => {} };
+  // The research step runs the LLM dialog check on the main page; the other pages only need native dialogs dismissed
+  const clearDialogHandlers = extraPages.map(page => dismissNativeDialogs(page));
+  const free = [stagehand.page, ...extraPages];
+  const queue = [];
+  const domains = new Map();
+  let timer = null;
+
+  debugLog('pool:open', 'Opened page pool', { requested: size, size: free.length });
+
+  const rejectQueued = () => {
+    clearTimeout(timer);
+    queue.splice(0).forEach(entry => entry.reject(signal.reason));
+  };
+  signal?.addEventListener('abort', rejectQueued, { once: true });
+
+  const domainState = (domain) => {
+    if (!domains.has(domain)) domains.set(domain, { active: 0, lastStart: 0 });
+    return domains.get(domain);
+  };
+
+  const start = (entry, page, state) => {
+    state.active++;
+    state.lastStart = Date.now();
+    Promise.resolve()
+      .then(() => entry.task(page))
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        state.active--;
+        free.push(page);
+        schedule();
+      });
+  };
+
+  // Starts every queued task that can start now, in queue order, and wakes up again for the
+  // earliest one that is only held back by its domain's interval
+  function schedule() {
+    clearTimeout(timer);
+    let nextWake = Infinity;
+    for (let i = 0; i < queue.length && free.length > 0;) {
+      const state = domainState(queue[i].domain);
+      const wait = state.lastStart + domainInterval - Date.now();
+      if (state.active >= domainConcurrency || wait > 0) {
+        if (state.active < domainConcurrency) nextWake = Math.min(nextWake, wait);
+        i++;
+        continue;
+      }
+      start(queue.splice(i, 1)[0], free.shift(), state);
+    }
+    if (nextWake !== Infinity && free.length > 0) {
+      timer = setTimeout(schedule, nextWake);
+    }
+  }
+
+  return {
+    size: 1 + extraPages.length,
+    run: (domain, task) => new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      queue.push({ domain, task, resolve, reject });
+      schedule();
+    }),
+    async close() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', rejectQueued);
+      clearDialogHandlers.forEach(clear => clear());
+      unwatch();
+      await Promise.all(extraPages.map(page => page.close().catch(() => {})));
+    }
+  };
+}
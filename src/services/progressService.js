@@ -0,0 +1,53 @@
+// services/progressService.js
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { progressConfig } from '../config/index.js';
+
+const eventsKey = (jobId) => `research:events:${jobId}`;
+const TERMINAL_EVENTS = ['research:completed', 'research:failed', 'research:cancelled'];
+
+export function isTerminalEvent(event) {
+  return TERMINAL_EVENTS.includes(event.type);
+}
+
+// Returns report(type, data, progress) for a job. Events are appended to a per-job history list
+// (whose length doubles as the event sequence number) and published for live subscribers.
+export function createProgressReporter(job) {
+  const redis = getRedis();
+
+  return async function report(type, data = {}, progress = null) {
+    const event = { type, data, timestamp: Date.now() };
+    try {
+      const seq = await redis.rpush(eventsKey(job.id), JSON.stringify(event));
+      await redis.expire(eventsKey(job.id), progressConfig.retentionSeconds);
+      await redis.publish(eventsKey(job.id), JSON.stringify({ seq, ...event }));
+      if (progress !== null) {
+        await job.progress(progress);
+      }
+    } catch (error) {
+      // Progress reporting must never fail the research itself
+      debugLog('progress:error', 'Failed to publish progress event', { type, error: error.message });
+    }
+  };
+}
+
+export async function getProgressHistory(jobId) {
+  const events = await getRedis().lrange(eventsKey(jobId), 0, -1);
+  return events.map((event, index) => ({ seq: index + 1, ...JSON.parse(event) }));
+}
+
+// Subscribes on a dedicated connection, since a subscribed Redis client cannot run other commands
+export async function subscribeToProgress(jobId, onEvent) {
+  const subscriber = getRedis().duplicate();
+  subscriber.on('message', (channel, message) => {
+    if (channel === eventsKey(jobId)) {
+      onEvent(JSON.parse(message));
+    }
+  });
+  await subscriber.subscribe(eventsKey(jobId));
+
+  return async () => {
+    await subscriber.unsubscribe(eventsKey(jobId)).catch(() => {});
+    subscriber.disconnect();
+  };
+}
@@ -0,0 +1,108 @@
+// src/services/researchJobService.js
+import conductResearch from "./researchService.js";
+import { conductCompanyResearch } from "./companyService.js";
+import { openBrowser as openDefaultBrowser } from "./browserBackendService.js";
+import { createProgressReporter } from "./progressService.js";
+import { getCachedResearch, setCachedResearch } from "./cacheService.js";
+import { createChallengeHandler } from "./challengeService.js";
+import { loadCheckpoint } from "./checkpointService.js";
+import { createJobSignal } from "./cancellationService.js";
+import { archiveResearch, isArchiveEnabled } from "./archiveService.js";
+import { jobConfig } from "../config/index.js";
+import { debugLog } from "../utils/logger.js";
+
+// Returns the research queue's job processor. openBrowser(options) can be replaced, as the offline
+// test harness does to route the browser's requests to recorded pages.
+export function createResearchProcessor({ openBrowser = openDefaultBrowser } = {}) {
+  return async function processResearchJob(job) {
+    const startTime = performance.now();
+    const report = createProgressReporter(job);
+    // Tenant, batch, callback, cache, deadline and browser settings travel with the job but are not part of the profile
+    const { tenantId, batchId, batchIndex, batchCompany, callbackUrl, callbackSecret, maxAge, forceRefresh, companyJobId, timeout, browser: browserOptions, ...profile } = job.data;
+    // Aborts at the job's deadline or when DELETE /research/:jobId cancels it
+    const jobSignal = createJobSignal(job.id, timeout ? timeout * 1000 : jobConfig.timeout);
+    let browser = null;
+
+    try {
+      await report("job:started", { attempt: job.attemptsMade + 1 }, 5);
+
+      const cachePolicy = { maxAge, forceRefresh };
+      // Person results point at their company dossier, which is researched as its own job
+      const companyLink = companyJobId ? { companyResearch: { jobId: companyJobId, statusUrl: `/research/${companyJobId}` } } : {};
+
+      const cached = await getCachedResearch(profile, cachePolicy);
+      if (cached) {
+        debugLog("research:cache-hit", "Serving research from cache", { profile, ageSeconds: cached.ageSeconds });
+        await report("research:completed", { cached: true, sources: cached.value.sources?.length || 0 }, 100);
+        return {
+          ...cached.value,
+          ...companyLink,
+          cache: { hit: true, cachedAt: new Date(cached.cachedAt).toISOString(), ageSeconds: cached.ageSeconds }
+        };
+      }
+
+      // Stages completed by an earlier attempt are replayed rather than redone
+      const checkpoint = await loadCheckpoint(job.id);
+      if (checkpoint.stages().length > 0) {
+        await report("checkpoint:resumed", { stages: checkpoint.stages().length });
+      }
+
+      browser = await openBrowser(browserOptions);
+      const { stagehand } = browser;
+      debugLog("research:start", "Starting research process", { profile, batchId, backend: browser.backend });
+
+      // A stopped job resolves to its partial findings; they are not cached, since a full run would find more
+      const { signal } = jobSignal;
+      const research = profile.type === "company" ? conductCompanyResearch : conductResearch;
+      const results = await research(stagehand, profile, {
+        report,
+        cache: cachePolicy,
+        onChallenge: createChallengeHandler(job, report, { signal }),
+        checkpoint,
+        signal
+      });
+
+      if (!results.partial) {
+        await setCachedResearch(profile, results);
+      }
+      await checkpoint.clear();
+      // Every fresh run goes into the archive, partial ones included; a job never fails because archiving did
+      const archive = isArchiveEnabled()
+        ? await archiveResearch({ tenantId, jobId: job.id, profile, result: results }).catch(error => {
+          debugLog("archive:error", "Failed to archive research run", { jobId: job.id, error: error.message });
+          return null;
+        })
+        : null;
+      await report("research:completed", { cached: false, sources: results.sources?.length || 0, partial: !!results.partial }, 100);
+
+      const duration = performance.now() - startTime;
+      debugLog("research:complete", "Research completed successfully", {
+        duration,
+        profile,
+        partial: results.partial?.reason || null
+      });
+
+      return { ...results, ...companyLink, ...(archive && { archive }), cache: { hit: false } };
+
+    } catch (error) {
+      debugLog("research:error", "Error in research process", {
+        error: error.message,
+        stack: error.stack,
+        attempt: job.attemptsMade
+      });
+      const willRetry = job.attemptsMade + 1 < job.opts.attempts;
+      await report(willRetry ? "job:attempt-failed" : "research:failed", {
+        error: error.message,
+        attempt: job.attemptsMade + 1,
+        willRetry
+      });
+      throw error;
+
+    } finally {
+      await jobSignal.dispose();
+      if (browser) {
+        await browser.close().catch(console.error);
+      }
+    }
+  };
+}
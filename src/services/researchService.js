@@ -1,225 +1,278 @@
 // src/services/conductResearch.js
 import { LinkedInService } from "./linkedInService.js";
-import { searchGoogle } from "./googleService.js";
-import { makeGPTCall } from "./openaiService.js";
+import { search } from "./searchService.js";
+import { makeGPTCall } from "./llmService.js";
+import { conductAgenticResearch } from "./agentService.js";
+import { crawlSite } from "./crawlerService.js";
+import { createPagePool, domainOf } from "./pagePoolService.js";
+import { noCheckpoint } from "./checkpointService.js";
+import { normaliseText } from "./cacheService.js";
+import {
+  generateSearchQueries,
+  rankSearchResults,
+  isLinkedInProfileUrl,
+  visitAndExtract,
+  processLinkedInProfile,
+  recordLinkedInProfile,
+  synthesizeResearch,
+  stopResearch,
+  SearchQueriesSchema
+} from "./researchSteps.js";
+import { researchConfig } from "../config/index.js";
 import { debugLog } from "../utils/logger.js";
 import { setupDialogHandling } from "../utils/dialogHandler.js";
-import { z } from "zod";
 
-async function conductResearch(stagehand, profile) {
-  debugLog("research:start", "Starting dynamic research process", { profile });
-  // Set up dialog handling
-  const clearDialogHandling = setupDialogHandling(stagehand.page);
+const noop = async () => {};
 
-  try {
-    const linkedIn = new LinkedInService(stagehand);
-    let searchResults = [];
-    let discoveredInfo = [];
-    let contactInformation = null;
-
-    // 1. Dynamically generate search queries using the LLM
-    const queryPrompt = `You are a research assistant. Given the following profile details:
-    
-Profile: ${JSON.stringify(profile)}
-    
-Generate a JSON array of 5 search queries that would help uncover professional information (LinkedIn profiles, contact details, news articles, bios, etc.) 
-relevant to this individual and context.
-(AND JUST A JSON, no BACKTICKS OR TEXT BEFORE OR AFTER THIS IS GOING THROUGH A JSON PARSER)
-`;
-    let queryResponse = await makeGPTCall([{ role: "user", content: queryPrompt }]);
-    let searchQueries;
-    try {
-      searchQueries = JSON.parse(queryResponse);
-    } catch (err) {
-      debugLog("research:query-parse-error", "Error parsing LLM query response; using fallback queries", { error: err.message });
-      searchQueries = [
-        `${profile.name} ${profile.context}`,
-        `${profile.name} ${profile.context} linkedin`,
-        `${profile.name} ${profile.context} contact`,
-        `${profile.name} ${profile.context} about`,
-        `${profile.name} ${profile.context} news`
-      ];
-    }
+// Queries run concurrently across the page pool; results are collected and reported in query order
+async function runSearches(run, queries, searchResults, progressRange) {
+  const { pool, report, signal } = run;
+  const [start, end] = progressRange;
+  const outcomes = await Promise.all(queries.map(query =>
+    run.checkpoint.remember(`search:${query}`, () => pool.run("search", page => search(page, query, { cache: run.cachePolicy, signal })))
+      .then(results => ({ results }), error => ({ error }))
+  ));
+  signal?.throwIfAborted();
 
-    // 2. Execute the search queries
-    for (const query of searchQueries) {
-      try {
-        const results = await searchGoogle(stagehand.page, query);
-        searchResults.push(...results);
-        // Wait a bit to prevent rate limiting
-        await stagehand.page.waitForTimeout(1000);
-      } catch (error) {
-        debugLog("research:search-error", `Error searching for query: ${query}`, { error: error.message });
-      }
+  for (const [index, { results, error }] of outcomes.entries()) {
+    const query = queries[index];
+    const progress = Math.round(start + ((index + 1) / queries.length) * (end - start));
+    if (error) {
+      debugLog("research:search-error", `Error searching for query: ${query}`, { error: error.message });
+      await report("search:failed", { query, error: error.message }, progress);
+    } else {
+      searchResults.push(...results);
+      await report("search:completed", { query, count: results.length }, progress);
     }
+  }
+}
 
-    // Remove duplicate URLs and sort results by relevance (e.g., prioritizing LinkedIn and name matches)
-    searchResults = Array.from(new Set(searchResults.map(r => r.url)))
-      .map(url => searchResults.find(r => r.url === url))
-      .sort((a, b) => {
-        const aScore = a.url.includes("linkedin.com") ? 2 :
-                       (a.url.toLowerCase().includes(profile.name.toLowerCase().replace(" ", "")) ? 1 : 0);
-        const bScore = b.url.includes("linkedin.com") ? 2 :
-                       (b.url.toLowerCase().includes(profile.name.toLowerCase().replace(" ", "")) ? 1 : 0);
-        return bScore - aScore;
-      });
-
-    // 3. Process each discovered link
-    for (const result of searchResults) {
-      if (discoveredInfo.length >= 5) break;
-      try {
-        if (result.url.includes("linkedin.com/in/")) {
-          // Process LinkedIn profiles
-          try {
-            await linkedIn.navigateToProfile(result.url, profile);
-            const contactInfo = await linkedIn.extractContactInfo();
-            if (contactInfo && contactInfo.contact) {
-              contactInformation = contactInfo.contact;
-            }
-          } catch (e) {
-            debugLog("research:linkedin-error", "Error processing LinkedIn profile", { error: e.message });
-            continue;
-          }
-        } else {
-          // Process other pages
-          await stagehand.page.goto(result.url, { timeout: 30000, waitUntil: "domcontentloaded" });
-          const extractionInstruction = `Extract professional information about ${profile.name} with context "${profile.context}".
-Include details such as current role, professional history, notable achievements, areas of expertise, and recent news.
-Return the data as a JSON object with keys: content (string), confidence (number), and type (one of 'profile', 'news', 'achievement', 'general').
-(AND JUST A JSON, no BACKTICKS OR TEXT BEFORE OR AFTER THIS IS GOING THROUGH A JSON PARSER)`;
-          const pageInfo = await stagehand.page.extract({
-            instruction: extractionInstruction,
-            schema: z.object({
-              content: z.string(),
-              confidence: z.number(),
-              type: z.enum(["profile", "news", "achievement", "general"])
-            }),
-            timeout: 45000
-          });
-          if (pageInfo?.content && pageInfo.confidence > 0.4) {
-            discoveredInfo.push({
-              source: result.url,
-              content: pageInfo.content,
-              type: pageInfo.type,
-              confidence: pageInfo.confidence
-            });
+// Personal and company sites are worth crawling; articles and profiles on large platforms are not
+function isOwnSite(url, info, profile) {
+  const host = new URL(url).hostname.toLowerCase();
+  const nameSlug = normaliseText(profile.name).replace(/ /g, "");
+  const employerWords = normaliseText(info.employer || "").split(" ").filter(word => word.length > 3);
+  return host.includes(nameSlug) || employerWords.some(word => host.includes(word));
+}
+
+// Follow the best same-site links from a promising result, sending each page through extraction.
+// A crawl that fails only loses its own pages; the research goes on.
+async function crawlOwnSite(run, state, url, info, progress) {
+  const { pool, profile, report } = run;
+  let pages;
+  try {
+    pages = await crawlSite(url, info.links || [], {
+      visited: state.visited,
+      terms: normaliseText(profile.name).split(" "),
+      page: run.page,
+      signal: run.signal,
+      visit: async (pageUrl) => {
+        state.visited.add(pageUrl);
+        try {
+          const found = await run.checkpoint.remember(`page:${pageUrl}`, () =>
+            pool.run(domainOf(pageUrl), page => visitAndExtract(page, pageUrl, profile, run.cachePolicy)));
+          if (found) {
+            state.discoveredInfo.push(found);
+            await report("page:visited", { url: pageUrl, type: found.type, confidence: found.confidence, crawledFrom: url }, progress());
+          } else {
+            await report("page:skipped", { url: pageUrl, reason: "no relevant information above the confidence threshold", crawledFrom: url });
           }
-          // Delay between visits
-          await stagehand.page.waitForTimeout(1000);
+          return found;
+        } catch (error) {
+          if (run.signal?.aborted) return null;
+          await report("page:skipped", { url: pageUrl, reason: error.message, crawledFrom: url });
+          return null;
         }
-      } catch (error) {
-        debugLog("research:explore-error", "Error processing link", {
-          url: result.url,
-          error: error.message
-        });
-        continue;
       }
+    });
+  } catch (error) {
+    if (run.signal?.aborted) return;
+    debugLog("research:crawl-error", "Error crawling site", { url, error: error.message });
+    await report("crawl:failed", { url, error: error.message });
+    return;
+  }
+  await report("crawl:completed", { url, pages: pages.length, found: pages.filter(crawled => crawled.result).length });
+}
+
+// Outcomes are applied in ranked order, exactly as if the pages had been visited one at a time
+async function applyPageOutcome(run, state, url, { info, error }, progress) {
+  const { profile, report } = run;
+  if (error) {
+    debugLog("research:explore-error", "Error processing link", { url, error: error.message });
+    await report("page:skipped", { url, reason: error.message });
+  } else if (info) {
+    state.discoveredInfo.push(info);
+    await report("page:visited", { url, type: info.type, confidence: info.confidence }, progress());
+    if (isOwnSite(url, info, profile)) {
+      await crawlOwnSite(run, state, url, info, progress);
     }
+  } else {
+    await report("page:skipped", { url, reason: "no relevant information above the confidence threshold" });
+  }
+}
+
+// Pages are extracted in waves of up to pool.size consecutive results. LinkedIn profiles run alone on the
+// main page, since they share one logged-in session and may stop for an operator.
+async function exploreResults(run, searchResults, state, progressRange) {
+  const { pool, linkedIn, profile, report } = run;
+  const [start, end] = progressRange;
+  // Progress is measured against the five findings we stop at
+  const progress = () => Math.round(start + (Math.min(state.discoveredInfo.length, 5) / 5) * (end - start));
+  const pending = searchResults.filter(result => !state.visited.has(result.url));
+
+  while (pending.length > 0 && state.discoveredInfo.length < 5) {
+    run.signal?.throwIfAborted();
+    const result = pending.shift();
+    if (state.visited.has(result.url)) continue;
 
-    // 4. Feedback loop: If the initial extraction yields low confidence or too few items, ask the LLM for additional queries
-    if (discoveredInfo.length < 3) {
-      const feedbackPrompt = `We have collected the following research findings:
-${JSON.stringify(discoveredInfo)}
-This information seems insufficient. Suggest additional search queries or modifications to extract more comprehensive and relevant professional data about ${profile.name} in the context "${profile.context}". 
-Provide a JSON array of queries.
-(AND JUST A JSON, no BACKTICKS OR TEXT BEFORE OR AFTER THIS IS GOING THROUGH A JSON PARSER)`;
-      let feedbackResponse = await makeGPTCall([{ role: "user", content: feedbackPrompt }]);
-      let additionalQueries;
+    if (isLinkedInProfileUrl(result.url)) {
+      state.visited.add(result.url);
       try {
-        additionalQueries = JSON.parse(feedbackResponse);
-      } catch (err) {
-        debugLog("research:feedback-parse-error", "Error parsing feedback response; using fallback queries", { error: err.message });
-        additionalQueries = [
-          `${profile.name} ${profile.context} detailed bio`,
-          `${profile.name} professional achievements`
-        ];
+        const { contact, linkedInProfile } = await run.checkpoint.remember(`linkedin:${result.url}`, () =>
+          processLinkedInProfile(linkedIn, result.url, profile));
+        recordLinkedInProfile(state, { contact, linkedInProfile });
+        await report("page:visited", {
+          url: result.url,
+          source: "linkedin",
+          contactFound: !!contact,
+          experience: linkedInProfile?.experience.length || 0,
+          recentActivity: linkedInProfile?.recentActivity.length || 0
+        }, progress());
+      } catch (error) {
+        run.signal?.throwIfAborted();
+        await applyPageOutcome(run, state, result.url, { error }, progress);
       }
+      continue;
+    }
 
-      for (const query of additionalQueries) {
-        try {
-          const results = await searchGoogle(stagehand.page, query);
-          searchResults.push(...results);
-          await stagehand.page.waitForTimeout(1000);
-        } catch (error) {
-          debugLog("research:search-error", `Error searching additional query: ${query}`, { error: error.message });
-        }
-      }
-      // Process additional results similarly
-      for (const result of searchResults) {
-        if (discoveredInfo.length >= 5) break;
-        try {
-          if (result.url.includes("linkedin.com/in/")) {
-            await linkedIn.navigateToProfile(result.url, profile);
-            const contactInfo = await linkedIn.extractContactInfo();
-            if (contactInfo && contactInfo.contact) {
-              contactInformation = contactInfo.contact;
-            }
-          } else {
-            await stagehand.page.goto(result.url, { timeout: 30000, waitUntil: "domcontentloaded" });
-            const extractionInstruction = `Extract professional information about ${profile.name} with context "${profile.context}".
-Include details like current role, professional history, achievements, expertise, and recent news.`;
-            const pageInfo = await stagehand.page.extract({
-              instruction: extractionInstruction,
-              schema: z.object({
-                content: z.string(),
-                confidence: z.number(),
-                type: z.enum(["profile", "news", "achievement", "general"])
-              }),
-              timeout: 45000
-            });
-            if (pageInfo?.content && pageInfo.confidence > 0.4) {
-              discoveredInfo.push({
-                source: result.url,
-                content: pageInfo.content,
-                type: pageInfo.type,
-                confidence: pageInfo.confidence
-              });
-            }
-            await stagehand.page.waitForTimeout(1000);
-          }
-        } catch (error) {
-          debugLog("research:explore-error", "Error processing additional link", {
-            url: result.url,
-            error: error.message
-          });
-          continue;
-        }
+    // Never fetch more pages than the findings still needed, so the result matches a sequential run
+    const wave = [result];
+    while (wave.length < Math.min(pool.size, 5 - state.discoveredInfo.length) && pending.length > 0 &&
+      !isLinkedInProfileUrl(pending[0].url)) {
+      const next = pending.shift();
+      if (!state.visited.has(next.url) && !wave.some(queued => queued.url === next.url)) wave.push(next);
+    }
+
+    const outcomes = await Promise.all(wave.map(({ url }) =>
+      run.checkpoint.remember(`page:${url}`, () => pool.run(domainOf(url), page => visitAndExtract(page, url, profile, run.cachePolicy)))
+        .then(info => ({ info }), error => ({ error }))
+    ));
+
+    for (const [index, { url }] of wave.entries()) {
+      if (state.discoveredInfo.length >= 5) {
+        // A sequential run would not have reached these pages; their extractions stay cached and checkpointed
+        pending.unshift(...wave.slice(index));
+        break;
       }
+      // Pages finished before the job stopped still count; the ones it stopped are not failures
+      if (state.visited.has(url) || (outcomes[index].error && run.signal?.aborted)) continue;
+      state.visited.add(url);
+      await applyPageOutcome(run, state, url, outcomes[index], progress);
     }
+  }
+}
+
+// A pipeline stopped by its signal returns the findings gathered up to that point
+async function conductPipelineResearch(run) {
+  const { profile, report, signal } = run;
+  const state = { discoveredInfo: [], contactInformation: null, linkedInProfiles: [], visited: new Set() };
+  const pool = await createPagePool(run.stagehand, { size: profile.pageConcurrency || researchConfig.pageConcurrency, signal });
+  try {
+    return await runPipeline({ ...run, pool }, state);
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+    return stopResearch(state, profile, report, signal);
+  } finally {
+    await pool.close();
+  }
+}
+
+async function generateFeedbackQueries(profile, state, signal) {
+  const feedbackPrompt = `We have collected the following research findings:
+${JSON.stringify(state.discoveredInfo.map(({ source, type, content, confidence }) => ({ source, type, content, confidence })))}
+This information seems insufficient. Suggest additional search queries or modifications to extract more comprehensive and relevant professional data about ${profile.name} in the context "${profile.context}".
+Return a JSON object with a "queries" key holding the array of query strings.`;
+  try {
+    const { queries } = await makeGPTCall([{ role: "user", content: feedbackPrompt }], {
+      task: "queries",
+      schema: SearchQueriesSchema,
+      schemaName: "feedback_queries",
+      signal
+    });
+    return queries;
+  } catch (err) {
+    signal?.throwIfAborted();
+    debugLog("research:feedback-parse-error", "Error generating feedback queries; using fallback queries", { error: err.message });
+    return [
+      `${profile.name} ${profile.context} detailed bio`,
+      `${profile.name} professional achievements`
+    ];
+  }
+}
+
+// Each stage's result is checkpointed as it completes, so a retried or resumed job replays saved
+// queries, searches, page extractions and LinkedIn profiles instead of repeating them
+async function runPipeline(run, state) {
+  const { profile, report, checkpoint, signal } = run;
+  let searchResults = [];
+
+  // 1. Dynamically generate search queries using the LLM
+  const searchQueries = await checkpoint.remember("queries", () => generateSearchQueries(profile, { signal }));
+  await report("queries:generated", { queries: searchQueries }, 15);
+
+  // 2. Execute the search queries
+  await runSearches(run, searchQueries, searchResults, [15, 35]);
+  searchResults = rankSearchResults(searchResults, profile);
+
+  // 3. Process each discovered link
+  await exploreResults(run, searchResults, state, [35, 70]);
+
+  // 4. Feedback loop: If the initial extraction yields low confidence or too few items, ask the LLM for additional queries
+  if (state.discoveredInfo.length < 3) {
+    signal?.throwIfAborted();
+    const additionalQueries = await checkpoint.remember("feedbackQueries", () => generateFeedbackQueries(profile, state, signal));
+
+    await report("feedback:queries-generated", { findings: state.discoveredInfo.length, queries: additionalQueries });
+
+    await runSearches(run, additionalQueries, searchResults, [70, 75]);
+    // Process additional results similarly
+    await exploreResults(run, searchResults, state, [75, 85]);
+  }
 
-    // 5. Synthesize a final professional bio using the aggregated research
-    const synthesisPrompt = `Based on the following research findings:
-${JSON.stringify(discoveredInfo.slice(0, 10), null, 2)}
-
-Create a professional bio for ${profile.name} that includes:
-1. A concise personal summary (2-3 paragraphs)
-2. Current role and professional focus
-3. Key achievements and experience
-4. Areas of expertise
-5. Recent activities or news
-
-Format your answer as a JSON object with the keys:
-- bio (string)
-- currentRole (string)
-- expertise (array of strings)
-- achievements (array of strings)
-- recentActivity (string)
-- keyPoints (array of strings)
-
-Ensure that all information clearly relates to ${profile.context}.`;
-    const synthesisResponse = await makeGPTCall([{ role: "user", content: synthesisPrompt }]);
-    const finalBio = JSON.parse(synthesisResponse);
-
-    return {
-      profile: finalBio,
-      contactInfo: {
-        email: contactInformation?.email || null,
-        phone: contactInformation?.phone || null,
-        social: contactInformation?.social || []
-      },
-      sources: Array.from(new Set(discoveredInfo.map(info => info.source))),
-      confidence: discoveredInfo.reduce((acc, info) => acc + info.confidence, 0) / discoveredInfo.length || 0.5
-    };
+  // 5. Resolve which findings are about this person and synthesize a final professional bio from them
+  signal?.throwIfAborted();
+  return checkpoint.remember("synthesis", () => synthesizeResearch(state, profile, report, { signal }));
+}
+
+// options.report(type, data, progress) receives progress events as research advances;
+// options.cache ({ maxAge, forceRefresh }) governs reuse of cached searches and extractions;
+// options.onChallenge hands LinkedIn checkpoints to an operator (see LinkedInService);
+// options.checkpoint saves completed stages for a later retry or resume (see checkpointService);
+// options.signal (an AbortSignal) stops the research early, resolving to a result marked partial
+async function conductResearch(stagehand, profile, { report = noop, cache = {}, onChallenge = null, checkpoint = noCheckpoint, signal } = {}) {
+  const mode = profile.mode || researchConfig.defaultMode;
+  debugLog("research:start", "Starting dynamic research process", { profile, mode });
+  await report("research:started", { mode }, 10);
+  // Set up dialog handling
+  const clearDialogHandling = setupDialogHandling(stagehand.page);
+
+  // Everything a research run needs, shared by both modes
+  const run = {
+    stagehand,
+    page: stagehand.page,
+    linkedIn: new LinkedInService(stagehand, { onChallenge, signal }),
+    profile,
+    report,
+    cachePolicy: cache,
+    checkpoint,
+    signal
+  };
+
+  try {
+    if (mode === "agentic") {
+      return { mode, ...await conductAgenticResearch(run) };
+    }
+    return { mode, ...await conductPipelineResearch(run) };
 
   } finally {
     // Clean up dialog handling
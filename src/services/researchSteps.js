@@ -0,0 +1,348 @@
+// src/services/researchSteps.js
+import { makeGPTCall } from "./llmService.js";
+import { getCachedExtraction, setCachedExtraction } from "./cacheService.js";
+import { resolveIdentity } from "./entityResolutionService.js";
+import { ClaimSchema, TemplateClaimSchema, buildCitableSources, verifyClaims, attachFootnotes } from "./citationService.js";
+import { scoreConfidence } from "./confidenceService.js";
+import { describeAbort } from "./cancellationService.js";
+import { researchConfig } from "../config/index.js";
+import { compileJsonSchema } from "../utils/jsonSchema.js";
+import { debugLog } from "../utils/logger.js";
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+
+export const PageInfoSchema = z.object({
+  content: z.string(),
+  confidence: z.number(),
+  type: z.enum(["profile", "news", "achievement", "general"]),
+  // Identity details used by entity resolution to tell same-named people apart
+  personName: z.string().nullable().describe("the person's name exactly as written on the page"),
+  employer: z.string().nullable().describe("the person's current employer according to the page"),
+  location: z.string().nullable().describe("the person's location according to the page"),
+  published: z.string().nullable().describe("when the page was published or last updated, as an ISO date if shown")
+});
+
+// Length limits are refinements because OpenAI's strict schema mode rejects minItems/minLength
+export const SearchQueriesSchema = z.object({
+  queries: z.array(z.string()).refine(queries => queries.some(q => q.trim()), "at least one query is required")
+});
+
+export const BioSchema = z.object({
+  bio: z.string(),
+  currentRole: z.string(),
+  expertise: z.array(z.string()),
+  achievements: z.array(z.string()),
+  recentActivity: z.string(),
+  keyPoints: z.array(z.string())
+});
+
+// The bio plus one claim per bio sentence and list item, each citing the numbered sources it came from
+export const SynthesisSchema = BioSchema.extend({
+  claims: z.array(ClaimSchema)
+});
+
+export function isLinkedInProfileUrl(url) {
+  return url.includes("linkedin.com/in/");
+}
+
+// Ask the LLM for search queries, falling back to simple name/context combinations
+export async function generateSearchQueries(profile, { signal } = {}) {
+  const queryPrompt = `You are a research assistant. Given the following profile details:
+
+Profile: ${JSON.stringify({ name: profile.name, context: profile.context })}
+
+Generate 5 search queries that would help uncover professional information (LinkedIn profiles, contact details, news articles, bios, etc.)
+relevant to this individual and context.
+${profile.template?.queryGuidance ? `${profile.template.queryGuidance}\n` : ""}Return a JSON object with a "queries" key holding the array of query strings.
+`;
+  try {
+    const { queries } = await makeGPTCall([{ role: "user", content: queryPrompt }], {
+      task: "queries",
+      schema: SearchQueriesSchema,
+      schemaName: "search_queries",
+      signal
+    });
+    return queries;
+  } catch (err) {
+    signal?.throwIfAborted();
+    debugLog("research:query-parse-error", "Error generating LLM search queries; using fallback queries", { error: err.message });
+    return [
+      `${profile.name} ${profile.context}`,
+      `${profile.name} ${profile.context} linkedin`,
+      `${profile.name} ${profile.context} contact`,
+      `${profile.name} ${profile.context} about`,
+      `${profile.name} ${profile.context} news`
+    ];
+  }
+}
+
+// Remove duplicate URLs and sort results by relevance (e.g., prioritizing LinkedIn and name matches);
+// this only orders visits, identity is decided later by resolveIdentity
+export function rankSearchResults(searchResults, profile) {
+  const score = (result) => result.url.includes("linkedin.com") ? 2 :
+    (result.url.toLowerCase().includes(profile.name.toLowerCase().replace(" ", "")) ? 1 : 0);
+
+  return Array.from(new Set(searchResults.map(r => r.url)))
+    .map(url => searchResults.find(r => r.url === url))
+    .sort((a, b) => score(b) - score(a));
+}
+
+// Run the professional-information extraction against whatever page is currently loaded
+export async function extractPageInfo(page, profile, instruction = null) {
+  const extractionInstruction = instruction || `Extract professional information about ${profile.name} with context "${profile.context}".
+Include details such as current role, professional history, notable achievements, areas of expertise, and recent news.
+Return the data with keys: content (string), confidence (number), type (one of 'profile', 'news', 'achievement', 'general'),
+the personName, employer and location the page gives for the person, and the page's published date (null when not stated).${profile.template?.extractionInstructions ? `\n${profile.template.extractionInstructions}` : ""}`;
+
+  const pageInfo = await page.extract({
+    instruction: extractionInstruction,
+    schema: PageInfoSchema,
+    timeout: 45000
+  });
+
+  if (pageInfo?.content && pageInfo.confidence > 0.4) {
+    return {
+      source: page.url(),
+      content: pageInfo.content,
+      type: pageInfo.type,
+      confidence: pageInfo.confidence,
+      personName: pageInfo.personName ?? null,
+      employer: pageInfo.employer ?? null,
+      location: pageInfo.location ?? null,
+      published: pageInfo.published ?? null,
+      links: await collectLinks(page)
+    };
+  }
+  return null;
+}
+
+// Outbound links let entity resolution connect pages that reference each other
+async function collectLinks(page) {
+  const links = await page.evaluate(() => Array.from(document.links, link => link.href)).catch(() => []);
+  return Array.from(new Set(links.filter(href => href.startsWith("http")).map(href => href.split("#")[0]))).slice(0, 200);
+}
+
+export async function visitAndExtract(page, url, profile, cachePolicy = {}) {
+  // Cached misses (null) are honoured too, so unhelpful pages are not revisited
+  const cached = await getCachedExtraction(url, profile, cachePolicy);
+  if (cached) {
+    debugLog("research:extract-cache-hit", "Using cached page extraction", { url, ageSeconds: cached.ageSeconds });
+    return cached.value;
+  }
+
+  await page.goto(url, { timeout: 30000, waitUntil: "domcontentloaded" });
+  const info = await extractPageInfo(page, profile);
+  // Keep the search result URL as the source rather than any redirect target
+  const result = info && { ...info, source: url };
+  await setCachedExtraction(url, profile, result);
+  return result;
+}
+
+// Open a LinkedIn profile, verify identity and return its contact details and structured profile (either may be null)
+export async function processLinkedInProfile(linkedIn, url, profile) {
+  const { url: profileUrl } = await linkedIn.navigateToProfile(url, profile);
+  const linkedInProfile = await linkedIn.extractProfile();
+  const contactInfo = await linkedIn.extractContactInfo();
+  const recentActivity = await linkedIn.extractRecentActivity(profileUrl);
+
+  return {
+    contact: contactInfo?.contact || null,
+    linkedInProfile: linkedInProfile && { ...linkedInProfile, url: profileUrl, recentActivity }
+  };
+}
+
+// Keeps the synthesis prompt focused on career facts rather than every field LinkedIn returns
+function summariseLinkedInProfile(linkedInProfile) {
+  const { name, headline, location, about, experience, education, skills, recentActivity } = linkedInProfile;
+  return {
+    name,
+    headline,
+    location,
+    about,
+    experience: experience.slice(0, 10),
+    education,
+    skills: skills.slice(0, 25),
+    recentActivity: recentActivity.map(({ type, text, date }) => ({ type, date, text: text.slice(0, 500) }))
+  };
+}
+
+// Numbered sources shared by both synthesis prompts
+function buildSynthesisSources(discoveredInfo, linkedInProfile) {
+  const linkedInText = linkedInProfile && JSON.stringify(summariseLinkedInProfile(linkedInProfile), null, 2);
+  const citableSources = buildCitableSources(discoveredInfo.slice(0, 10), linkedInProfile, linkedInText);
+  return {
+    citableSources,
+    sourceList: citableSources.map(source => `[${source.id}] ${source.url}\n${source.content}`).join("\n\n"),
+    linkedInNote: linkedInProfile
+      ? `\nSource [1] is their LinkedIn profile, their own account of their career; prefer it for roles, employers and dates.\n`
+      : ""
+  };
+}
+
+// Synthesize a final professional bio using the aggregated research; returns { bio, claims, citableSources }
+export async function synthesizeProfile(discoveredInfo, profile, linkedInProfile = null, { signal } = {}) {
+  const { citableSources, sourceList, linkedInNote } = buildSynthesisSources(discoveredInfo, linkedInProfile);
+
+  const synthesisPrompt = `Based on the following numbered research sources:
+
+${sourceList}
+${linkedInNote}
+Create a professional bio for ${profile.name} that includes:
+1. A concise personal summary (2-3 paragraphs)
+2. Current role and professional focus
+3. Key achievements and experience
+4. Areas of expertise
+5. Recent activities or news
+
+Format your answer as a JSON object with exactly these keys:
+- bio (string)
+- currentRole (string)
+- expertise (array of strings)
+- achievements (array of strings)
+- recentActivity (string)
+- keyPoints (array of strings)
+- claims (array): one entry for every sentence of bio, for currentRole and recentActivity, and for every item of expertise, achievements and keyPoints. Each entry has field (the key it belongs to), text (the sentence or item exactly as written there) and citations: { sourceId, quote } pairs where quote is copied verbatim from source [sourceId] and supports the claim. Leave citations empty rather than citing a source that does not support the claim.
+
+Ensure that all information clearly relates to ${profile.context}.`;
+  const { claims, ...bio } = await makeGPTCall([{ role: "user", content: synthesisPrompt }], {
+    task: "synthesis",
+    schema: SynthesisSchema,
+    schemaName: "professional_bio",
+    // The claims repeat every sentence with verbatim quotes, so the reply is several times the bio's length
+    maxTokens: 4000,
+    signal
+  });
+  return { bio, claims, citableSources };
+}
+
+// Synthesize output in a research template's own JSON Schema; returns { bio, claims, citableSources }
+export async function synthesizeTemplate(discoveredInfo, profile, linkedInProfile = null, { signal } = {}) {
+  const { template } = profile;
+  const { citableSources, sourceList, linkedInNote } = buildSynthesisSources(discoveredInfo, linkedInProfile);
+
+  const synthesisPrompt = `Based on the following numbered research sources:
+
+${sourceList}
+${linkedInNote}
+Research ${profile.name} in the context "${profile.context}" using the "${template.name}" template.
+${template.synthesisInstructions}
+
+Return a JSON object with:
+- data: an object matching this JSON Schema:
+${JSON.stringify(template.schema, null, 2)}
+- claims (array): one entry for every factual statement in data. Each entry has field (the top-level key of data it belongs to), text (the statement as written there, or a short statement of the fact for objects) and citations: { sourceId, quote } pairs where quote is copied verbatim from source [sourceId] and supports the claim. Leave citations empty rather than citing a source that does not support the claim.
+
+Use null where the schema allows it and the sources say nothing. Ensure that all information clearly relates to ${profile.context}.`;
+
+  const { data, claims } = await makeGPTCall([{ role: "user", content: synthesisPrompt }], {
+    task: "synthesis",
+    maxTokens: 3000,
+    jsonSchema: {
+      type: "object",
+      properties: {
+        data: template.schema,
+        claims: { type: "array", items: zodToJsonSchema(TemplateClaimSchema, { target: "openApi3" }) }
+      },
+      required: ["data", "claims"]
+    },
+    schemaName: `template_${template.name.replace(/-/g, "_")}`,
+    signal
+  });
+  return { bio: data, claims, citableSources };
+}
+
+// Records a LinkedIn visit; contact details stay with their profile so a rejected stranger's details are never used
+export function recordLinkedInProfile(state, { contact, linkedInProfile }) {
+  if (linkedInProfile) {
+    state.linkedInProfiles.push({ ...linkedInProfile, contact });
+  } else if (contact) {
+    state.contactInformation = contact;
+  }
+}
+
+// The findings and LinkedIn profile that belong to the person researched, and the contact details to use
+function resolveFindings(state, profile) {
+  const resolution = resolveIdentity(profile, {
+    findings: state.discoveredInfo,
+    linkedInProfiles: state.linkedInProfiles
+  });
+  const { contact: linkedInContact = null, ...linkedInProfile } = resolution.linkedInProfile || {};
+  return {
+    resolution,
+    linkedInContact,
+    selectedLinkedIn: resolution.linkedInProfile ? linkedInProfile : null,
+    contact: linkedInContact || (state.linkedInProfiles.length ? null : state.contactInformation)
+  };
+}
+
+// Keep only the findings that belong to the resolved identity, then synthesize the bio from those
+export async function synthesizeResearch(state, profile, report, { signal } = {}) {
+  const { resolution, linkedInContact, selectedLinkedIn, contact } = resolveFindings(state, profile);
+  await report("identity:resolved", {
+    candidates: resolution.identity.candidateCount,
+    clusters: resolution.identity.clusterCount,
+    selected: resolution.identity.sources.length,
+    rejected: resolution.identity.rejected.length
+  }, 88);
+
+  await report("synthesis:started", { findings: resolution.findings.length, template: profile.template?.name || null }, 90);
+  const synthesize = profile.template ? synthesizeTemplate : synthesizeProfile;
+  const { bio, claims, citableSources } = await synthesize(resolution.findings, profile, selectedLinkedIn, { signal });
+  const verified = verifyClaims(bio, claims, citableSources, { mode: researchConfig.unsupportedClaims });
+
+  // Dropping unsupported claims can leave template output short of its schema (e.g. minItems); keep it whole then
+  if (profile.template && !compileJsonSchema(profile.template.schema)(verified.profile).success) {
+    verified.profile = bio;
+  }
+
+  const result = buildResearchResult(verified.profile, contact, resolution.findings, selectedLinkedIn);
+  return {
+    ...result,
+    ...(profile.template && { template: profile.template.name }),
+    claims: attachFootnotes(verified.claims, result.sources),
+    confidence: scoreConfidence({
+      profile: verified.profile,
+      claims: verified.claims,
+      contactInfo: result.contactInfo,
+      contactSource: linkedInContact ? selectedLinkedIn.url : null,
+      findings: resolution.findings,
+      linkedInProfile: selectedLinkedIn,
+      employer: resolution.identity.employer,
+      template: !!profile.template
+    }),
+    identity: resolution.identity
+  };
+}
+
+// Research stopped by its signal (a deadline or cancellation) returns what it had found: the resolved
+// findings themselves in place of a synthesized bio, with partial saying why it stopped
+export async function stopResearch(state, profile, report, signal) {
+  const stopped = describeAbort(signal);
+  await report("research:stopped", { ...stopped, findings: state.discoveredInfo.length });
+
+  const { resolution, selectedLinkedIn, contact } = resolveFindings(state, profile);
+  return {
+    ...buildResearchResult(null, contact, resolution.findings, selectedLinkedIn),
+    findings: resolution.findings.map(({ source, type, content, confidence }) => ({ source, type, content, confidence })),
+    identity: resolution.identity,
+    partial: stopped
+  };
+}
+
+export function buildResearchResult(finalBio, contactInformation, discoveredInfo, linkedInProfile = null) {
+  const sources = discoveredInfo.map(info => info.source);
+  if (linkedInProfile) {
+    sources.unshift(linkedInProfile.url);
+  }
+
+  return {
+    profile: finalBio,
+    contactInfo: {
+      email: contactInformation?.email || null,
+      phone: contactInformation?.phone || null,
+      social: contactInformation?.social || []
+    },
+    linkedIn: linkedInProfile,
+    sources: Array.from(new Set(sources))
+  };
+}
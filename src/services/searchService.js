@@ -0,0 +1,60 @@
+// services/searchService.js
+import { debugLog } from '../utils/logger.js';
+import { searchConfig } from '../config/index.js';
+import { searchGoogle } from './googleService.js';
+import { searchBing } from './bingService.js';
+import { searchDuckDuckGo } from './duckDuckGoService.js';
+import { searchSearxng } from './searxngService.js';
+import { searchFixtures } from './fixtureSearchService.js';
+import { getCachedSearch, setCachedSearch } from './cacheService.js';
+
+// Every provider takes (page, query, { signal }) and resolves to [{ url, title, snippet }]
+export const searchProviders = {
+  google: searchGoogle,
+  bing: searchBing,
+  duckduckgo: searchDuckDuckGo,
+  searxng: searchSearxng,
+  fixture: searchFixtures
+};
+
+// Try each configured provider in order, falling through on errors or empty result sets.
+// Non-empty result pages are cached per query; `cache` is a { maxAge, forceRefresh } policy.
+// An aborted `signal` stops the search rather than falling through to the next provider.
+export async function search(page, query, { providers = searchConfig.providers, cache = {}, signal } = {}) {
+  const cached = await getCachedSearch(query, cache);
+  if (cached) {
+    debugLog('search:cache-hit', 'Using cached search results', { query, provider: cached.value.provider, ageSeconds: cached.ageSeconds });
+    return cached.value.results;
+  }
+
+  const errors = [];
+
+  for (const name of providers) {
+    signal?.throwIfAborted();
+    const provider = searchProviders[name];
+    if (!provider) {
+      errors.push(`${name}: unknown provider`);
+      continue;
+    }
+
+    try {
+      const results = await provider(page, query, { signal });
+      if (results.length > 0) {
+        debugLog('search:provider', 'Search served by provider', { provider: name, query, count: results.length });
+        await setCachedSearch(query, results, name);
+        return results;
+      }
+      errors.push(`${name}: no results`);
+    } catch (error) {
+      signal?.throwIfAborted();
+      errors.push(`${name}: ${error.message}`);
+    }
+
+    debugLog('search:fallback', 'Search provider failed; trying next', { provider: name, query });
+  }
+
+  if (errors.length === 0 || errors.some(error => error.endsWith('no results'))) {
+    return [];
+  }
+  throw new Error(`All search providers failed (${errors.join('; ')})`);
+}
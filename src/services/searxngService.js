@@ -0,0 +1,50 @@
+// services/searxngService.js
+import { debugLog } from '../utils/logger.js';
+import { searchConfig } from '../config/index.js';
+import { browserFetch } from '../utils/browserFetch.js';
+
+// Queries a SearXNG instance's JSON API; the request goes through the page's browser so it uses the job's proxy
+export async function searchSearxng(page, query, { signal } = {}) {
+  debugLog('searxng:search', `Searching SearXNG`, { query });
+
+  try {
+    if (!searchConfig.searxngUrl) {
+      throw new Error('SEARXNG_URL is not configured');
+    }
+
+    const url = new URL('/search', searchConfig.searxngUrl);
+    url.searchParams.set('q', query);
+    url.searchParams.set('format', 'json');
+
+    const response = await browserFetch(page, url.toString(), {
+      headers: { Accept: 'application/json' },
+      timeout: 30000,
+      signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    const results = (body.results || [])
+      .map(result => ({
+        url: result.url,
+        title: result.title || '',
+        snippet: result.content || ''
+      }))
+      .filter(result => result.url);
+
+    debugLog('searxng:results', `Found search results`, {
+      count: results.length,
+      firstResult: results[0]
+    });
+
+    return results;
+  } catch (error) {
+    debugLog('searxng:error', 'Error performing SearXNG search', {
+      error: error.message,
+      query
+    });
+    throw new Error(`SearXNG search failed: ${error.message}`);
+  }
+}
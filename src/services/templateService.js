@@ -0,0 +1,108 @@
+// services/templateService.js
+import { readdir, readFile } from 'fs/promises';
+import { z } from 'zod';
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { checkOutputSchema } from '../utils/jsonSchema.js';
+
+const TEMPLATES_DIR = new URL('../templates/', import.meta.url);
+const templateKey = (tenantId, name) => `template:${tenantId}:${name}`;
+const tenantIndexKey = (tenantId) => `templates:${tenantId}`;
+
+// The guidance strings are appended to the query, extraction and synthesis prompts;
+// schema is the JSON Schema the synthesized output is validated against
+export const TemplateSchema = z.object({
+  name: z.string().regex(/^[a-z0-9][a-z0-9-]{0,63}$/, 'lowercase letters, digits and dashes only'),
+  description: z.string().default(''),
+  queryGuidance: z.string().default(''),
+  extractionInstructions: z.string().default(''),
+  synthesisInstructions: z.string().default(''),
+  schema: z.record(z.any()).superRefine((schema, ctx) => {
+    const problem = checkOutputSchema(schema);
+    if (problem) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+    }
+  })
+});
+
+let builtInTemplates = null;
+
+// Built-in templates ship as JSON files in src/templates and are read once
+async function loadBuiltInTemplates() {
+  if (!builtInTemplates) {
+    builtInTemplates = new Map();
+    for (const file of (await readdir(TEMPLATES_DIR)).filter(file => file.endsWith('.json'))) {
+      const template = TemplateSchema.parse(JSON.parse(await readFile(new URL(file, TEMPLATES_DIR), 'utf8')));
+      builtInTemplates.set(template.name, template);
+    }
+    debugLog('templates:load', 'Loaded built-in research templates', { templates: Array.from(builtInTemplates.keys()) });
+  }
+  return builtInTemplates;
+}
+
+// A tenant's own template takes precedence over a built-in one with the same name
+export async function getTemplate(name, tenantId) {
+  const stored = await getRedis().get(templateKey(tenantId, name));
+  if (stored) {
+    return { ...JSON.parse(stored), source: 'tenant' };
+  }
+  const builtIn = (await loadBuiltInTemplates()).get(name);
+  return builtIn ? { ...builtIn, source: 'built-in' } : null;
+}
+
+export async function listTemplates(tenantId) {
+  const templates = new Map();
+  for (const template of (await loadBuiltInTemplates()).values()) {
+    templates.set(template.name, { name: template.name, description: template.description, source: 'built-in' });
+  }
+
+  const names = await getRedis().smembers(tenantIndexKey(tenantId));
+  for (const name of names) {
+    const template = await getTemplate(name, tenantId);
+    if (template) {
+      templates.set(name, { name, description: template.description, source: template.source });
+    }
+  }
+  return Array.from(templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function saveTemplate(tenantId, input) {
+  const template = TemplateSchema.parse(input);
+  await getRedis().multi()
+    .set(templateKey(tenantId, template.name), JSON.stringify(template))
+    .sadd(tenantIndexKey(tenantId), template.name)
+    .exec();
+
+  debugLog('templates:save', 'Saved research template', { tenantId, name: template.name });
+  return { ...template, source: 'tenant' };
+}
+
+// Only tenant templates can be deleted; returns false when there was none
+export async function deleteTemplate(tenantId, name) {
+  const [[, deleted]] = await getRedis().multi()
+    .del(templateKey(tenantId, name))
+    .srem(tenantIndexKey(tenantId), name)
+    .exec();
+  return deleted > 0;
+}
+
+// Turns a request's template name or inline schema into the full template that travels with the job,
+// so editing a template later does not change jobs already queued. Returns null for the default bio.
+export async function resolveTemplate({ template, schema }, tenantId) {
+  if (template && schema) {
+    throw new Error('Pass either a template name or an inline schema, not both');
+  }
+  if (schema) {
+    return TemplateSchema.parse({ name: 'inline', schema });
+  }
+  if (!template) {
+    return null;
+  }
+
+  const resolved = await getTemplate(template, tenantId);
+  if (!resolved) {
+    throw new Error(`Unknown template "${template}"`);
+  }
+  const { source, ...rest } = resolved;
+  return rest;
+}
@@ -0,0 +1,181 @@
+// services/webhookService.js
+import { createHmac, randomUUID } from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { debugLog } from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { webhookConfig } from '../config/index.js';
+
+const deliveryKey = (deliveryId) => `webhook:delivery:${deliveryId}`;
+const attemptsKey = (researchJobId) => `webhook:attempts:${researchJobId}`;
+
+// Addresses a callback must not reach: this host, private networks, link-local (cloud metadata),
+// carrier-grade NAT and other reserved ranges. IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are refused
+// outright, since public hosts do not resolve to them; they are kept in their own list because BlockList
+// also matches plain IPv4 addresses against mapped ranges.
+const internalIPv4 = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  internalIPv4.addSubnet(network, prefix, 'ipv4');
+}
+const internalIPv6 = new BlockList();
+for (const [network, prefix] of [['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  internalIPv6.addSubnet(network, prefix, 'ipv6');
+}
+
+const isInternalAddress = (address) => isIP(address) === 6
+  ? internalIPv6.check(address, 'ipv6')
+  : internalIPv4.check(address, 'ipv4');
+
+// Returns null when url may receive deliveries, otherwise why not. Every address the host resolves to is checked.
+export async function checkWebhookTarget(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:' && protocol !== 'http:') {
+    return `unsupported protocol "${protocol}"`;
+  }
+  if (webhookConfig.allowPrivateTargets) return null;
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+  const internal = addresses.find(({ address }) => isInternalAddress(address));
+  return internal ? `${hostname} resolves to the internal address ${internal.address}` : null;
+}
+
+// Receivers verify by recomputing HMAC-SHA256 over `${timestamp}.${body}` with their secret
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export async function enqueueWebhook(queue, { researchJobId, tenantId, url, secret, event, payload, replayOf = null }) {
+  const redis = getRedis();
+  const deliveryId = randomUUID();
+  const body = JSON.stringify({ event, deliveryId, ...payload });
+
+  // The delivery record keeps everything needed to replay it after the Bull jobs are gone
+  await redis.multi()
+    .hset(deliveryKey(deliveryId), {
+      deliveryId,
+      researchJobId,
+      tenantId,
+      url,
+      secret: secret || '',
+      event,
+      body,
+      replayOf: replayOf || '',
+      createdAt: Date.now()
+    })
+    .expire(deliveryKey(deliveryId), webhookConfig.retentionSeconds)
+    .exec();
+
+  await queue.add({ deliveryId }, {
+    attempts: webhookConfig.maxAttempts,
+    backoff: {
+      type: 'exponential',
+      delay: webhookConfig.backoffDelay
+    },
+    removeOnComplete: 100,
+    removeOnFail: 100
+  });
+
+  debugLog('webhook:enqueue', 'Enqueued webhook delivery', { researchJobId, deliveryId, event, url });
+  return deliveryId;
+}
+
+// Webhook queue processor: throws on failure so Bull retries with backoff
+export async function deliverWebhook(job) {
+  const redis = getRedis();
+  const delivery = await redis.hgetall(deliveryKey(job.data.deliveryId));
+  if (!delivery.deliveryId) {
+    throw new Error(`Webhook delivery ${job.data.deliveryId} not found`);
+  }
+
+  const attempt = job.attemptsMade + 1;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const secret = delivery.secret || webhookConfig.defaultSecret;
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'stagehand-research-webhooks',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Id': delivery.deliveryId,
+    'X-Webhook-Timestamp': timestamp
+  };
+  if (secret) {
+    headers['X-Webhook-Signature'] = signPayload(secret, timestamp, delivery.body);
+  }
+
+  const startTime = performance.now();
+  const record = {
+    deliveryId: delivery.deliveryId,
+    tenantId: delivery.tenantId,
+    event: delivery.event,
+    url: delivery.url,
+    attempt,
+    replayOf: delivery.replayOf || null,
+    timestamp: Date.now()
+  };
+
+  try {
+    const refused = await checkWebhookTarget(delivery.url);
+    if (refused) {
+      // Retrying cannot change where the URL points
+      await job.discard();
+      throw new Error(`Refusing to deliver webhook: ${refused}`);
+    }
+
+    // Redirects are not followed, so a public URL cannot forward the delivery to an internal one
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body: delivery.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(webhookConfig.timeout)
+    });
+    record.responseStatus = response.status;
+
+    if (!response.ok) {
+      throw new Error(`Webhook endpoint responded with HTTP ${response.status}`);
+    }
+    record.status = 'delivered';
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    throw error;
+  } finally {
+    record.durationMs = Math.round(performance.now() - startTime);
+    await redis.multi()
+      .rpush(attemptsKey(delivery.researchJobId), JSON.stringify(record))
+      .expire(attemptsKey(delivery.researchJobId), webhookConfig.retentionSeconds)
+      .exec();
+    debugLog('webhook:attempt', 'Webhook delivery attempt finished', record);
+  }
+
+  return { deliveryId: delivery.deliveryId, responseStatus: record.responseStatus };
+}
+
+export async function getWebhookAttempts(researchJobId, tenantId) {
+  const attempts = await getRedis().lrange(attemptsKey(researchJobId), 0, -1);
+  return attempts
+    .map(attempt => JSON.parse(attempt))
+    .filter(attempt => attempt.tenantId === tenantId)
+    .map(({ tenantId: _tenantId, ...attempt }) => attempt);
+}
+
+export async function replayWebhook(queue, researchJobId, deliveryId, tenantId) {
+  const delivery = await getRedis().hgetall(deliveryKey(deliveryId));
+  if (!delivery.deliveryId || delivery.researchJobId !== String(researchJobId) || delivery.tenantId !== tenantId) {
+    return null;
+  }
+
+  const { event, deliveryId: originalId, ...payload } = JSON.parse(delivery.body);
+  return enqueueWebhook(queue, {
+    researchJobId,
+    tenantId,
+    url: delivery.url,
+    secret: delivery.secret,
+    event,
+    payload,
+    replayOf: originalId
+  });
+}
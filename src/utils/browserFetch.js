@@ -0,0 +1,23 @@
+// src/utils/browserFetch.js
+
+// GETs url with the request client of the page's browser context, so it goes out through the same proxy
+// as the job's pages; without a page it is a plain fetch. Resolves to { ok, status, text(), json() }.
+// An aborted signal stops a plain fetch at once, but through the browser it only stops the request starting.
+export async function browserFetch(page, url, { headers = {}, timeout = 30000, signal } = {}) {
+  if (!page) {
+    return fetch(url, {
+      headers,
+      redirect: 'follow',
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout)
+    });
+  }
+
+  signal?.throwIfAborted();
+  const response = await page.context().request.get(url, { headers, timeout });
+  return {
+    ok: response.ok(),
+    status: response.status(),
+    text: () => response.text(),
+    json: () => response.json()
+  };
+}
@@ -0,0 +1,60 @@
+// src/utils/csv.js
+
+// Parse RFC 4180 style CSV (quoted fields, escaped quotes, CRLF) into objects keyed by the header row
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(value => value.trim()));
+  const keys = header.map(key => key.trim());
+  return body.map(values =>
+    Object.fromEntries(keys.map((key, index) => [key, (values[index] ?? '').trim()]))
+  );
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' ? value : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
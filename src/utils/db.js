@@ -0,0 +1,23 @@
+// src/utils/db.js
+import pg from 'pg';
+import { archiveConfig } from '../config/index.js';
+import { debugLog } from './logger.js';
+
+let pool = null;
+
+// Shared Postgres pool for the research archive
+export function getDb() {
+  if (!pool) {
+    pool = new pg.Pool({ connectionString: archiveConfig.databaseUrl });
+    // An idle connection dropped by the server would otherwise crash the process
+    pool.on('error', (error) => debugLog('db:error', 'Idle database connection failed', { error: error.message }));
+  }
+  return pool;
+}
+
+export async function closeDb() {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+}
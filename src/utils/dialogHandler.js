@@ -17,13 +17,20 @@ export async function handleDialogs(page) {
   }
 }
 
-// Handle native browser dialogs (alert, confirm, prompt)
-export function setupDialogHandling(page) {
-  // Handle native dialogs
-  page.on('dialog', async (dialog) => {
+// Dismiss native browser dialogs (alert, confirm, prompt) opened by this page; returns a cleanup function.
+// addListener rather than on: Stagehand's page.on subscribes the whole browser context instead
+export function dismissNativeDialogs(page) {
+  const dismiss = async (dialog) => {
     debugLog('dialog:native', `Dismissing native dialog: ${dialog.type()}`);
-    await dialog.dismiss();
-  });
+    await dialog.dismiss().catch(() => {});
+  };
+  page.addListener('dialog', dismiss);
+  return () => page.removeListener('dialog', dismiss);
+}
+
+// Native dialogs, plus an LLM check for page-level popups every 5 seconds; meant for the main page only
+export function setupDialogHandling(page) {
+  const clearNativeDialogs = dismissNativeDialogs(page);
 
   // Set up a lightweight interval to check for and handle dialogs
   const intervalId = setInterval(async () => {
@@ -31,5 +38,8 @@ export function setupDialogHandling(page) {
   }, 5000); // Check every 5 seconds
 
   // Return cleanup function
-  return () => clearInterval(intervalId);
+  return () => {
+    clearInterval(intervalId);
+    clearNativeDialogs();
+  };
 }
\ No newline at end of file
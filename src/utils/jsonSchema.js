@@ -0,0 +1,43 @@
+// src/utils/jsonSchema.js
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Inline schemas arrive with every request, so compiled schemas are not kept in Ajv's cache
+function compile(schema) {
+  const validate = ajv.compile(schema);
+  ajv.removeSchema(schema);
+  return validate;
+}
+
+// Compiles a JSON Schema into validate(data) -> { success, data } | { success: false, problems };
+// throws if the schema itself is invalid
+export function compileJsonSchema(schema) {
+  const validate = compile(schema);
+
+  return (data) => {
+    if (validate(data)) {
+      return { success: true, data };
+    }
+    return {
+      success: false,
+      problems: validate.errors.map(e => `${e.instancePath.replace(/^\//, '').replace(/\//g, '.') || '(root)'}: ${e.message}`).join('\n')
+    };
+  };
+}
+
+// Returns null for a usable output schema, or a description of what is wrong with it
+export function checkOutputSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return 'schema must be a JSON Schema object';
+  }
+  if (schema.type !== 'object' || !schema.properties) {
+    return 'schema must describe an object with properties';
+  }
+  try {
+    compile(schema);
+    return null;
+  } catch (error) {
+    return `invalid JSON Schema: ${error.message}`;
+  }
+}
@@ -0,0 +1,20 @@
+// src/utils/redis.js
+import Redis from 'ioredis';
+import { serverConfig } from '../config/index.js';
+
+let client = null;
+
+// Shared connection for app data; Bull manages its own connections
+export function getRedis() {
+  if (!client) {
+    client = new Redis(serverConfig.redisUrl);
+  }
+  return client;
+}
+
+export async function closeRedis() {
+  if (client) {
+    await client.quit();
+    client = null;
+  }
+}
@@ -0,0 +1,95 @@
+// src/utils/robots.js
+import { debugLog } from './logger.js';
+import { browserFetch } from './browserFetch.js';
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const robotsCache = new Map();
+
+// Groups are runs of User-agent lines followed by their rules; only the rules for `*` are kept
+function parseRobots(text) {
+  const rules = [];
+  let crawlDelay = null;
+  let groupAgents = [];
+  let inRules = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (inRules) {
+        groupAgents = [];
+        inRules = false;
+      }
+      groupAgents.push(value.toLowerCase());
+      continue;
+    }
+
+    inRules = true;
+    if (!groupAgents.includes('*')) continue;
+    if ((field === 'allow' || field === 'disallow') && value) {
+      rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+      crawlDelay = parseFloat(value);
+    }
+  }
+  return { rules, crawlDelay };
+}
+
+// Robots patterns are path prefixes where * matches anything and a trailing $ anchors the end
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The longest matching rule wins, and Allow wins a tie
+function isAllowed(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.pattern).test(path)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+// A missing or unreadable robots.txt allows everything
+async function fetchRobots(origin, page) {
+  try {
+    const response = await browserFetch(page, `${origin}/robots.txt`, { timeout: 5000 });
+    if (!response.ok) {
+      return { rules: [], crawlDelay: null };
+    }
+    return parseRobots(await response.text());
+  } catch (error) {
+    debugLog('robots:error', 'Could not read robots.txt', { origin, error: error.message });
+    return { rules: [], crawlDelay: null };
+  }
+}
+
+// Returns { allows(url), crawlDelay } for the site of `url`; robots.txt is read once an hour per origin,
+// through page's browser (and so the job's proxy) when a page is given
+export async function getRobots(url, { page } = {}) {
+  const { origin } = new URL(url);
+  let entry = robotsCache.get(origin);
+  if (!entry || Date.now() - entry.fetchedAt > CACHE_TTL_MS) {
+    entry = { ...await fetchRobots(origin, page), fetchedAt: Date.now() };
+    robotsCache.set(origin, entry);
+  }
+
+  return {
+    allows: (target) => {
+      const { pathname, search } = new URL(target);
+      return isAllowed(entry.rules, `${pathname}${search}`);
+    },
+    crawlDelay: entry.crawlDelay
+  };
+}
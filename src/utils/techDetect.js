@@ -0,0 +1,48 @@
+// src/utils/techDetect.js
+
+// Signatures are matched against script/link URLs, markup and a few window globals
+const SIGNATURES = [
+  { name: 'React', category: 'framework', markup: /data-reactroot|_reactListening/, globals: ['React'] },
+  { name: 'Next.js', category: 'framework', markup: /__NEXT_DATA__|\/_next\/static\//, globals: ['__NEXT_DATA__'] },
+  { name: 'Nuxt', category: 'framework', markup: /__NUXT__|\/_nuxt\//, globals: ['__NUXT__'] },
+  { name: 'Vue', category: 'framework', markup: /data-v-[0-9a-f]{8}/, globals: ['Vue'] },
+  { name: 'Angular', category: 'framework', markup: /ng-version=/ },
+  { name: 'Gatsby', category: 'framework', markup: /___gatsby/ },
+  { name: 'WordPress', category: 'cms', markup: /\/wp-content\/|\/wp-includes\// },
+  { name: 'Webflow', category: 'cms', markup: /data-wf-site|webflow\.js/ },
+  { name: 'Squarespace', category: 'cms', markup: /static\.squarespace\.com/ },
+  { name: 'Wix', category: 'cms', markup: /static\.wixstatic\.com|wix-code/ },
+  { name: 'Contentful', category: 'cms', markup: /ctfassets\.net/ },
+  { name: 'Shopify', category: 'ecommerce', markup: /cdn\.shopify\.com/, globals: ['Shopify'] },
+  { name: 'Stripe', category: 'payments', markup: /js\.stripe\.com/, globals: ['Stripe'] },
+  { name: 'Google Analytics', category: 'analytics', markup: /google-analytics\.com\/|googletagmanager\.com\/gtag/, globals: ['ga', 'gtag'] },
+  { name: 'Google Tag Manager', category: 'analytics', markup: /googletagmanager\.com\/gtm\.js/ },
+  { name: 'Segment', category: 'analytics', markup: /cdn\.segment\.com/ },
+  { name: 'Mixpanel', category: 'analytics', markup: /cdn\.mxpnl\.com|mixpanel-2-latest/ },
+  { name: 'Amplitude', category: 'analytics', markup: /cdn\.amplitude\.com/ },
+  { name: 'Hotjar', category: 'analytics', markup: /static\.hotjar\.com/ },
+  { name: 'HubSpot', category: 'marketing', markup: /js\.hs-scripts\.com|js\.hsforms\.net|hs-analytics/ },
+  { name: 'Marketo', category: 'marketing', markup: /munchkin\.marketo\.net/ },
+  { name: 'Pardot', category: 'marketing', markup: /pi\.pardot\.com/ },
+  { name: 'Intercom', category: 'support', markup: /widget\.intercom\.io|js\.intercomcdn\.com/, globals: ['Intercom'] },
+  { name: 'Drift', category: 'support', markup: /js\.driftt\.com/ },
+  { name: 'Zendesk', category: 'support', markup: /static\.zdassets\.com/ },
+  { name: 'Cloudflare', category: 'infrastructure', markup: /\/cdn-cgi\// },
+  { name: 'Vercel', category: 'infrastructure', markup: /vercel-insights|\/_vercel\// },
+  { name: 'Greenhouse', category: 'recruiting', markup: /boards\.greenhouse\.io/ },
+  { name: 'Lever', category: 'recruiting', markup: /jobs\.lever\.co/ },
+  { name: 'Workable', category: 'recruiting', markup: /apply\.workable\.com/ }
+];
+
+// Returns [{ name, category }] for the technologies the currently loaded page shows signs of
+export async function detectTechnologies(page) {
+  const checks = SIGNATURES.map(({ name, globals = [] }) => ({ name, globals }));
+  const { html, globals } = await page.evaluate((checks) => ({
+    html: document.documentElement.outerHTML.slice(0, 500000),
+    globals: checks.filter(check => check.globals.some(key => typeof window[key] !== 'undefined')).map(check => check.name)
+  }), checks).catch(() => ({ html: '', globals: [] }));
+
+  return SIGNATURES
+    .filter(signature => globals.includes(signature.name) || signature.markup.test(html))
+    .map(({ name, category }) => ({ name, category }));
+}
@@ -1,5 +1,6 @@
 curl -X POST http://localhost:3333/browser \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d '{
     "url": "https://stuartmason.co.uk",
     "action": "click the about page link",
@@ -8,6 +9,7 @@ curl -X POST http://localhost:3333/browser \
 
 curl -X POST http://localhost:3333/research \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d '{
     "name": "Iggy Hammick",
     "context": "Designer, founder of dark blue"
@@ -15,6 +17,7 @@ curl -X POST http://localhost:3333/research \
 
 curl -X POST http://localhost:3333/research \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d '{
     "name": "Ben Lipscombe",
     "context": "UK Based PPC Specialist"
@@ -22,6 +25,7 @@ curl -X POST http://localhost:3333/research \
 
   curl -X POST http://localhost:3333/research \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d '{
     "name": "Ali Gallop",
     "context": "Video Producer, founder of theres this place"
@@ -29,6 +33,7 @@ curl -X POST http://localhost:3333/research \
 
   curl -X POST http://localhost:3333/research \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d '{
     "name": "Daniel Ruffles",
     "context": "UK based brand and design expert"
@@ -0,0 +1,49 @@
+// test/cache.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { researchKey, normaliseText } from '../src/services/cacheService.js';
+import { researchConfig } from '../src/config/index.js';
+
+test('normaliseText ignores case, accents, punctuation and spacing', () => {
+  assert.equal(normaliseText('  José  O\'Brien-Smith! '), 'jose o brien smith');
+  assert.equal(normaliseText(), '');
+});
+
+test('researchKey shares results between spellings of one request', () => {
+  assert.equal(
+    researchKey({ name: 'Jo Bloggs', context: 'Acme Robotics' }),
+    researchKey({ name: 'jo  bloggs', context: 'ACME robotics.' })
+  );
+});
+
+test('researchKey keeps research modes and templates apart', () => {
+  const profile = { name: 'Jo Bloggs', context: 'Acme Robotics' };
+  const otherMode = researchConfig.defaultMode === 'agentic' ? 'pipeline' : 'agentic';
+
+  assert.equal(researchKey(profile), researchKey({ ...profile, mode: researchConfig.defaultMode }));
+  assert.notEqual(researchKey(profile), researchKey({ ...profile, mode: otherMode }));
+  assert.notEqual(researchKey(profile), researchKey({ ...profile, template: { name: 'sales' } }));
+});
+
+test('researchKey keeps agentic step budgets apart', () => {
+  const profile = { name: 'Jo Bloggs', context: 'Acme Robotics', mode: 'agentic' };
+
+  assert.equal(researchKey(profile), researchKey({ ...profile, maxSteps: researchConfig.agentMaxSteps }));
+  assert.notEqual(researchKey(profile), researchKey({ ...profile, maxSteps: researchConfig.agentMaxSteps + 10 }));
+  assert.equal(
+    researchKey({ ...profile, mode: 'pipeline' }),
+    researchKey({ ...profile, mode: 'pipeline', maxSteps: 40 }),
+    'pipeline jobs take no steps'
+  );
+});
+
+test('researchKey keys companies by domain when one was given', () => {
+  assert.equal(
+    researchKey({ type: 'company', name: 'Acme Robotics', domain: 'acmerobotics.com' }),
+    researchKey({ type: 'company', name: 'Acme Robotics Ltd', domain: 'acmerobotics.com' })
+  );
+  assert.equal(
+    researchKey({ type: 'company', name: 'Acme Robotics', mode: 'agentic' }),
+    researchKey({ type: 'company', name: 'Acme Robotics' })
+  );
+});
@@ -0,0 +1,66 @@
+// test/citations.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCitableSources, verifyClaims, attachFootnotes } from '../src/services/citationService.js';
+
+const findings = [
+  { source: 'https://jobloggs.dev/about', content: 'Jo Bloggs is a Robotics Engineer at Acme Robotics, based in Manchester.' },
+  { source: 'https://news.example.com/jo', content: 'Bloggs spoke at RoboConf 2024 about warehouse automation.' }
+];
+const linkedInProfile = { url: 'https://www.linkedin.com/in/jobloggs' };
+
+test('buildCitableSources numbers the LinkedIn profile first, then each finding', () => {
+  const sources = buildCitableSources(findings, linkedInProfile, 'Jo Bloggs - Robotics Engineer');
+  assert.deepEqual(sources.map(source => [source.id, source.url]), [
+    [1, 'https://www.linkedin.com/in/jobloggs'],
+    [2, 'https://jobloggs.dev/about'],
+    [3, 'https://news.example.com/jo']
+  ]);
+  assert.equal(sources[0].content, 'Jo Bloggs - Robotics Engineer');
+});
+
+const bio = {
+  currentRole: 'Robotics Engineer at Acme Robotics',
+  recentActivity: 'Spoke at RoboConf 2024. Won a Nobel prize.',
+  expertise: ['Warehouse automation', 'Quantum gardening']
+};
+const claims = [
+  { field: 'currentRole', text: 'Robotics Engineer at Acme Robotics', citations: [
+    { sourceId: 1, quote: 'robotics engineer at ACME Robotics,' },
+    { sourceId: 1, quote: 'Robotics Engineer at Acme Robotics' }
+  ] },
+  { field: 'recentActivity', text: 'Spoke at RoboConf 2024.', citations: [{ sourceId: 2, quote: 'spoke at RoboConf 2024' }] },
+  { field: 'recentActivity', text: 'Won a Nobel prize.', citations: [{ sourceId: 2, quote: 'won a Nobel prize' }] },
+  { field: 'expertise', text: 'Warehouse automation', citations: [{ sourceId: 2, quote: 'warehouse automation' }] },
+  { field: 'expertise', text: 'Quantum gardening', citations: [{ sourceId: 9, quote: 'quantum gardening' }, { sourceId: 1, quote: 'Jo' }] }
+];
+
+test('verifyClaims keeps only quotes that appear in the cited source', () => {
+  const result = verifyClaims(bio, claims, buildCitableSources(findings), { mode: 'flag' });
+
+  assert.equal(result.profile, bio);
+  assert.deepEqual(result.claims.map(claim => claim.supported), [true, true, false, true, false]);
+  assert.deepEqual(result.claims[0].citations, [
+    { source: 'https://jobloggs.dev/about', quote: 'robotics engineer at ACME Robotics,' },
+    { source: 'https://jobloggs.dev/about', quote: 'Robotics Engineer at Acme Robotics' }
+  ]);
+  assert.deepEqual(result.claims[4].citations, [], 'unknown sources and too-short quotes do not count');
+});
+
+test('verifyClaims removes unsupported claims and their text in drop mode', () => {
+  const result = verifyClaims(bio, claims, buildCitableSources(findings), { mode: 'drop' });
+
+  assert.deepEqual(result.profile, {
+    currentRole: 'Robotics Engineer at Acme Robotics',
+    recentActivity: 'Spoke at RoboConf 2024.',
+    expertise: ['Warehouse automation']
+  });
+  assert.ok(result.claims.every(claim => claim.supported));
+  assert.equal(result.claims.length, 3);
+});
+
+test('attachFootnotes numbers citations by their place in the sources list', () => {
+  const { claims: checked } = verifyClaims(bio, claims.slice(1, 2), buildCitableSources(findings));
+  const [claim] = attachFootnotes(checked, ['https://jobloggs.dev/about', 'https://news.example.com/jo']);
+  assert.deepEqual(claim.citations, [{ footnote: 2, source: 'https://news.example.com/jo', quote: 'spoke at RoboConf 2024' }]);
+});
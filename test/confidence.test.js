@@ -0,0 +1,131 @@
+// test/confidence.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreConfidence } from '../src/services/confidenceService.js';
+
+const recent = new Date().toISOString();
+
+const linkedInProfile = {
+  url: 'https://www.linkedin.com/in/jobloggs',
+  experience: [
+    { company: 'Acme Robotics', title: 'Robotics Engineer', endDate: 'Present' },
+    { company: 'Widget Works', title: 'Engineer', endDate: '2020' }
+  ]
+};
+
+const profile = {
+  currentRole: 'Robotics Engineer at Acme Robotics',
+  recentActivity: 'Spoke at RoboConf 2024',
+  expertise: ['Warehouse automation'],
+  achievements: []
+};
+
+const cite = (field, text, source) => ({ field, text, supported: true, citations: [{ source, quote: text }] });
+
+test('scoreConfidence rises with each independent site that agrees', () => {
+  const one = scoreConfidence({
+    profile,
+    claims: [cite('recentActivity', profile.recentActivity, 'https://blog.example.com/post')],
+    contactInfo: {},
+    findings: [{ source: 'https://blog.example.com/post', content: '', published: recent }]
+  });
+  const two = scoreConfidence({
+    profile,
+    claims: [
+      cite('recentActivity', profile.recentActivity, 'https://blog.example.com/post'),
+      cite('recentActivity', profile.recentActivity, 'https://blog.example.com/other'),
+      cite('recentActivity', profile.recentActivity, 'https://roboconf.example.org/speakers')
+    ],
+    contactInfo: {},
+    findings: [
+      { source: 'https://blog.example.com/post', content: '', published: recent },
+      { source: 'https://blog.example.com/other', content: '', published: recent },
+      { source: 'https://roboconf.example.org/speakers', content: '', published: recent }
+    ]
+  });
+
+  assert.equal(one.fields.recentActivity.confidence, 0.3);
+  assert.ok(two.fields.recentActivity.confidence > one.fields.recentActivity.confidence);
+  assert.equal(two.fields.recentActivity.sources.length, 3);
+});
+
+test('scoreConfidence weighs the current role against findings naming another employer', () => {
+  const { fields } = scoreConfidence({
+    profile,
+    contactInfo: {},
+    linkedInProfile,
+    employer: 'Acme Robotics',
+    findings: [
+      { source: 'https://acmerobotics.com/team', content: '', employer: 'Acme Robotics Ltd' },
+      { source: 'https://old.example.com/staff', content: '', employer: 'Widget Works' }
+    ]
+  });
+
+  assert.equal(fields.currentRole.employer, 'Acme Robotics');
+  assert.deepEqual(fields.currentRole.sources.map(source => source.type), ['linkedin', 'company']);
+  assert.deepEqual(fields.currentRole.conflicts, [
+    { value: 'Widget Works', sources: [{ url: 'https://old.example.com/staff', type: 'web', published: null }] }
+  ]);
+  assert.ok(fields.currentRole.confidence > 0 && fields.currentRole.confidence < 1);
+});
+
+test('scoreConfidence matches contact details across formats and lists other values as conflicts', () => {
+  const { fields } = scoreConfidence({
+    profile,
+    contactInfo: { email: 'jo@jobloggs.dev', phone: '0161 496 0000' },
+    contactSource: linkedInProfile.url,
+    linkedInProfile,
+    findings: [
+      { source: 'https://jobloggs.dev/contact', content: 'Email JO@jobloggs.dev or call +44 (161) 496-0000.' },
+      { source: 'https://directory.example.com/jo', content: 'Jo Bloggs, jo.bloggs@example.com' }
+    ]
+  });
+
+  assert.deepEqual(fields.phone.sources.map(source => source.url), [linkedInProfile.url, 'https://jobloggs.dev/contact']);
+  assert.deepEqual(fields.phone.conflicts, []);
+  assert.deepEqual(fields.email.sources.map(source => source.url), [linkedInProfile.url, 'https://jobloggs.dev/contact']);
+  assert.deepEqual(fields.email.conflicts.map(conflict => conflict.value), ['jo.bloggs@example.com']);
+  assert.ok(fields.email.confidence < fields.phone.confidence);
+});
+
+test('scoreConfidence does not mistake dates and short numbers for phone numbers', () => {
+  const { fields } = scoreConfidence({
+    profile,
+    contactInfo: { phone: '0161 496 0000' },
+    contactSource: linkedInProfile.url,
+    linkedInProfile,
+    findings: [
+      { source: 'https://jobloggs.dev/cv', content: 'MEng Robotics 2012-2016. Acme Robotics 2016 - 2020 2021-2024. Ref 1234-5678.' },
+      { source: 'https://directory.example.com/jo', content: 'Call +44 20 7946 0000 or 0113 496 0000.' }
+    ]
+  });
+
+  assert.deepEqual(fields.phone.conflicts.map(conflict => conflict.value), ['+44 20 7946 0000', '0113 496 0000']);
+});
+
+test('scoreConfidence averages only the fields that have a value', () => {
+  const empty = scoreConfidence({ profile: { currentRole: null, expertise: [] }, contactInfo: {} });
+  assert.equal(empty.overall, 0);
+
+  const { overall, fields } = scoreConfidence({
+    profile: { currentRole: null, recentActivity: 'Spoke at RoboConf 2024' },
+    claims: [cite('recentActivity', 'Spoke at RoboConf 2024', 'https://blog.example.com/post')],
+    contactInfo: {},
+    findings: [{ source: 'https://blog.example.com/post', content: '' }]
+  });
+  assert.equal(overall, fields.recentActivity.confidence);
+});
+
+test('scoreConfidence scores template output per top-level key', () => {
+  const { fields } = scoreConfidence({
+    profile: { education: 'MEng Robotics, University of Manchester', awards: [] },
+    claims: [cite('education', 'MEng Robotics', 'https://jobloggs.dev/about')],
+    contactInfo: {},
+    findings: [{ source: 'https://jobloggs.dev/about', content: '' }],
+    template: true
+  });
+
+  assert.deepEqual(Object.keys(fields), ['email', 'phone', 'education', 'awards']);
+  assert.ok(fields.education.confidence > 0);
+  assert.deepEqual(fields.awards, { value: null, confidence: 0, sources: [] });
+});
@@ -0,0 +1,71 @@
+// test/crawler.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { rankLink, crawlSite } from '../src/services/crawlerService.js';
+
+test('rankLink prefers pages about the owner', () => {
+  const about = rankLink('https://example.com/about');
+  const blog = rankLink('https://example.com/blog');
+  const other = rankLink('https://example.com/shop');
+
+  assert.ok(about > blog);
+  assert.ok(blog > other);
+});
+
+test('rankLink skips account, legal and download links', () => {
+  assert.equal(rankLink('https://example.com/login'), null);
+  assert.equal(rankLink('https://example.com/privacy-policy'), null);
+  assert.equal(rankLink('https://example.com/tag/robots'), null);
+  assert.equal(rankLink('https://example.com/files/cv.pdf'), null);
+});
+
+test('rankLink rewards research terms in the path and prefers shallow pages', () => {
+  assert.ok(rankLink('https://example.com/projects/robotics', ['robotics']) > rankLink('https://example.com/projects/gardening', ['robotics']));
+  assert.ok(rankLink('https://example.com/about') > rankLink('https://example.com/en/company/about'));
+  assert.equal(rankLink('https://example.com/projects/robotics', ['ai']), rankLink('https://example.com/projects/robotics'), 'short terms are ignored');
+});
+
+test('rankLink matches encoded paths', () => {
+  assert.equal(rankLink('https://example.com/%61bout'), rankLink('https://example.com/about'));
+});
+
+test('rankLink ranks paths that are not valid escapes as written', () => {
+  assert.equal(rankLink('https://example.com/about/100%-natural'), rankLink('https://example.com/about/100-natural'));
+  assert.equal(rankLink('https://example.com/%E0%A4%A/contact') > 0, true);
+});
+
+test('crawlSite does nothing when crawling is switched off', async () => {
+  const visit = () => assert.fail('no page should be visited');
+  assert.deepEqual(await crawlSite('https://example.com/', ['https://example.com/about'], { visit, maxDepth: 0 }), []);
+  assert.deepEqual(await crawlSite('https://example.com/', ['https://example.com/about'], { visit, maxDepth: 1, maxPages: 0 }), []);
+});
+
+test('crawlSite follows the best same-site link and ignores the rest', async () => {
+  // No robots.txt, so every path is allowed
+  const server = http.createServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  after(() => new Promise(resolve => server.close(resolve)));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const visited = [];
+  const pages = await crawlSite(`${origin}/`, [
+    `${origin}/100%-natural`,
+    `${origin}/login`,
+    `${origin}/about#team`,
+    'https://elsewhere.example.com/about'
+  ], {
+    visit: async (url) => {
+      visited.push(url);
+      return { links: [] };
+    },
+    maxDepth: 1,
+    maxPages: 1
+  });
+
+  assert.deepEqual(visited, [`${origin}/about`]);
+  assert.deepEqual(pages, [{ url: `${origin}/about`, depth: 1, result: { links: [] } }]);
+});
@@ -0,0 +1,36 @@
+// test/csv.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../src/utils/csv.js';
+
+test('parseCsv keys rows by the trimmed header row', () => {
+  assert.deepEqual(parseCsv(' name , context\nJo Bloggs,Acme Robotics\n'), [
+    { name: 'Jo Bloggs', context: 'Acme Robotics' }
+  ]);
+});
+
+test('parseCsv handles quoted fields, escaped quotes, CRLF and blank lines', () => {
+  const csv = 'name,context\r\n"Bloggs, Jo","Says ""hello""\nto everyone"\r\n\r\n,\r\nAnn Other,Potter';
+  assert.deepEqual(parseCsv(csv), [
+    { name: 'Bloggs, Jo', context: 'Says "hello"\nto everyone' },
+    { name: 'Ann Other', context: 'Potter' }
+  ]);
+});
+
+test('parseCsv fills missing trailing values with empty strings', () => {
+  assert.deepEqual(parseCsv('name,context,mode\nJo Bloggs,Acme'), [
+    { name: 'Jo Bloggs', context: 'Acme', mode: '' }
+  ]);
+});
+
+test('toCsv quotes values that need it and serialises objects as JSON', () => {
+  const csv = toCsv([
+    { name: 'Bloggs, Jo', note: 'said "hi"', data: { a: 1 }, missing: null }
+  ], ['name', 'note', 'data', 'missing']);
+  assert.equal(csv, 'name,note,data,missing\n"Bloggs, Jo","said ""hi""","{""a"":1}",\n');
+});
+
+test('toCsv output parses back to the same values', () => {
+  const rows = [{ name: 'Jo "JB" Bloggs', context: 'Line one\nline two' }];
+  assert.deepEqual(parseCsv(toCsv(rows, ['name', 'context'])), rows);
+});
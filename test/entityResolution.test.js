@@ -0,0 +1,122 @@
+// test/entityResolution.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nameVariants, scoreName, sameEntity, resolveIdentity } from '../src/services/entityResolutionService.js';
+
+test('nameVariants includes nicknames, initials and joined handles', () => {
+  const variants = nameVariants('Robert Smith');
+  assert.equal(variants.full, 'robert smith');
+  for (const variant of ['bob smith', 'robsmith', 'smith robert']) {
+    assert.ok(variants.strong.includes(variant), variant);
+  }
+  assert.deepEqual(variants.weak, ['r smith', 'rsmith']);
+  assert.equal(variants.last, 'smith');
+});
+
+test('scoreName grades how closely a text names the target', () => {
+  assert.equal(scoreName('Robert Smith, engineer', 'Robert Smith'), 1);
+  assert.equal(scoreName('Talk by Bob Smith', 'Robert Smith'), 0.9);
+  assert.equal(scoreName('R. Smith et al.', 'Robert Smith'), 0.6);
+  assert.equal(scoreName('The Smith family', 'Robert Smith'), 0.2);
+  assert.equal(scoreName('Robertson Smithers', 'Robert Smith'), 0);
+  assert.equal(scoreName('anything', ''), 0);
+});
+
+test('sameEntity matches names that contain one another', () => {
+  assert.equal(sameEntity('Acme Robotics Ltd', 'Acme Robotics'), true);
+  assert.equal(sameEntity('Acme', 'Acme Robotics, Manchester'), true);
+  assert.equal(sameEntity('Acme Robotics', 'Widget Works'), false);
+  assert.equal(sameEntity('AC', 'AC Milan'), false, 'very short names never match');
+});
+
+const profile = { name: 'Jo Bloggs', context: 'Robotics engineer at Acme Robotics, Manchester' };
+
+test('resolveIdentity keeps the best identity and explains each rejection', () => {
+  const findings = [
+    { source: 'https://jobloggs.dev/about', personName: 'Jo Bloggs', employer: 'Acme Robotics', location: 'Manchester',
+      content: 'Jo Bloggs, robotics engineer at Acme Robotics in Manchester.', links: ['https://acmerobotics.com/team'] },
+    { source: 'https://acmerobotics.com/team', personName: 'Jo Bloggs', employer: 'Acme Robotics',
+      content: 'Our robotics team: Jo Bloggs, engineer.' },
+    { source: 'https://bakery.example.com/', personName: 'Jo Bloggs', employer: 'Bloggs Bakery', location: 'Leeds',
+      content: 'Jo Bloggs bakes bread in Leeds.' },
+    { source: 'https://example.org/smith', personName: 'Sam Smith', content: 'Sam Smith, robotics engineer in Manchester.' }
+  ];
+  const linkedInProfiles = [{
+    url: 'https://www.linkedin.com/in/jobloggs',
+    name: 'Jo Bloggs',
+    headline: 'Robotics Engineer at Acme Robotics',
+    location: 'Manchester, UK',
+    experience: [{ company: 'Acme Robotics' }]
+  }];
+
+  const { findings: kept, linkedInProfile, identity } = resolveIdentity(profile, { findings, linkedInProfiles });
+
+  assert.deepEqual(kept.map(finding => finding.source), ['https://jobloggs.dev/about', 'https://acmerobotics.com/team']);
+  assert.equal(linkedInProfile, linkedInProfiles[0]);
+  assert.equal(identity.employer, 'Acme Robotics');
+  assert.deepEqual(identity.evidence.sort(), ['cross-link', 'employer']);
+  assert.equal(identity.candidateCount, 5);
+
+  const reasons = Object.fromEntries(identity.rejected.map(rejection => [rejection.source, rejection.reasons]));
+  assert.deepEqual(reasons['https://example.org/smith'], ['name does not match any variant of "Jo Bloggs"']);
+  assert.ok(reasons['https://bakery.example.com/'].some(reason => reason.startsWith('employer "Bloggs Bakery" differs')));
+  assert.ok(reasons['https://bakery.example.com/'].some(reason => reason.startsWith('location "Leeds" differs')));
+});
+
+test('resolveIdentity joins plain pages that match the name and context to the selected identity', () => {
+  const findings = [
+    { source: 'https://acmerobotics.com/team', personName: 'Jo Bloggs', employer: 'Acme Robotics', content: 'Jo Bloggs, robotics engineer.' },
+    { source: 'https://roboconf.example.org/speakers', content: 'Speakers include Jo Bloggs (Acme Robotics, Manchester).' }
+  ];
+
+  const { findings: kept, identity } = resolveIdentity(profile, { findings });
+  assert.equal(kept.length, 2);
+  assert.deepEqual(identity.rejected, []);
+  assert.equal(identity.clusterCount, 1);
+});
+
+test('resolveIdentity keeps matching pages whose only links point elsewhere', () => {
+  const findings = ['a', 'b', 'c'].map(site => ({
+    source: `https://${site}.example.com/jo`,
+    content: 'Jo Bloggs, robotics engineer Manchester',
+    links: [`https://unrelated-${site}.example.net/`]
+  }));
+
+  const { findings: kept, identity } = resolveIdentity({ name: 'Jo Bloggs', context: 'robotics engineer Manchester' }, { findings });
+  assert.equal(kept.length, 3);
+  assert.deepEqual(identity.rejected, []);
+  assert.equal(identity.clusterCount, 0);
+});
+
+test('resolveIdentity clusters pages that link to each other', () => {
+  const findings = [
+    { source: 'https://a.example.com/jo', content: 'Jo Bloggs, robotics engineer Manchester', links: ['https://b.example.com/jo/'] },
+    { source: 'https://b.example.com/jo', content: 'Jo Bloggs, robotics engineer Manchester' }
+  ];
+
+  const { findings: kept, identity } = resolveIdentity({ name: 'Jo Bloggs', context: 'robotics engineer Manchester' }, { findings });
+  assert.equal(kept.length, 2);
+  assert.equal(identity.clusterCount, 1);
+  assert.deepEqual(identity.evidence, ['cross-link']);
+});
+
+test('resolveIdentity only rejects other identities for conflicting evidence', () => {
+  const findings = [
+    { source: 'https://a.example.com/jo', content: 'Jo Bloggs, robotics engineer', location: 'Manchester' },
+    { source: 'https://b.example.com/jo', content: 'Jo Bloggs, robotics engineer', location: 'Manchester, UK' },
+    { source: 'https://c.example.com/jo', content: 'Jo Bloggs, robotics engineer', location: 'Leeds' }
+  ];
+
+  const { findings: kept, identity } = resolveIdentity({ name: 'Jo Bloggs', context: 'robotics engineer Manchester' }, { findings });
+  assert.deepEqual(kept.map(finding => finding.source), ['https://a.example.com/jo', 'https://b.example.com/jo']);
+  assert.deepEqual(identity.rejected.map(rejection => [rejection.source, rejection.reasons]), [
+    ['https://c.example.com/jo', ['location "Leeds" differs from the selected identity\'s "Manchester"']]
+  ]);
+});
+
+test('resolveIdentity with nothing to go on selects nothing', () => {
+  const { findings, linkedInProfile, identity } = resolveIdentity(profile);
+  assert.deepEqual(findings, []);
+  assert.equal(linkedInProfile, null);
+  assert.equal(identity.score, null);
+});
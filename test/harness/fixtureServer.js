@@ -0,0 +1,140 @@
+// test/harness/fixtureServer.js
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Images, fonts and media never affect research, so they are neither recorded nor served
+const SKIPPED_RESOURCES = new Set(['image', 'font', 'media']);
+
+const EXTENSIONS = [
+  [/html/, '.html'],
+  [/javascript/, '.js'],
+  [/css/, '.css'],
+  [/json/, '.json'],
+  [/text/, '.txt']
+];
+
+function fileFor(url, contentType) {
+  const extension = EXTENSIONS.find(([pattern]) => pattern.test(contentType))?.[1] || '.bin';
+  return `pages/${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}${extension}`;
+}
+
+// Serves a scenario's recorded pages over HTTP: GET /page?url=<url> answers with the response recorded
+// for that URL. A scenario's pages.json maps each URL to { status, contentType, file }, where file is
+// relative to the scenario directory. In record mode the browser's real responses are saved instead.
+export async function startFixtureServer() {
+  let scenario = null;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fixtures').searchParams.get('url');
+    const page = scenario?.pages[url];
+    if (!page) {
+      res.writeHead(404, { 'content-type': 'text/plain', 'x-fixture-missing': 'true' });
+      return res.end(`No recorded response for ${url}`);
+    }
+    try {
+      const body = await fs.readFile(path.join(scenario.dir, page.file));
+      res.writeHead(page.status, { 'content-type': page.contentType });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(500, { 'content-type': 'text/plain' });
+      res.end(error.message);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  async function save(url, { status, contentType, body }) {
+    const file = fileFor(url, contentType);
+    await fs.mkdir(path.join(scenario.dir, 'pages'), { recursive: true });
+    await fs.writeFile(path.join(scenario.dir, file), body);
+    scenario.pages[url] = { status, contentType, file };
+  }
+
+  return {
+    origin,
+
+    // Switches to a scenario's pages; record mode starts it with none
+    async use(dir, { record = false } = {}) {
+      const pages = record ? {} : JSON.parse(await fs.readFile(path.join(dir, 'pages.json'), 'utf8'));
+      scenario = { dir, record, pages, missing: [] };
+    },
+
+    // Sends every request the browser context makes to this server, or in record mode to the real site.
+    // Routing does not cover context.request (used for robots.txt), so that client is replaced by one
+    // answering the same way.
+    async routeBrowser(context) {
+      const live = context.request;
+      context.request = {
+        async get(url, options) {
+          if (scenario.record) {
+            const response = await live.get(url, options);
+            await save(url, {
+              status: response.status(),
+              contentType: response.headers()['content-type'] || 'application/octet-stream',
+              body: await response.body()
+            });
+            return response;
+          }
+
+          const response = await fetch(`${origin}/page?url=${encodeURIComponent(url)}`);
+          if (response.headers.get('x-fixture-missing')) {
+            scenario.missing.push({ url, type: 'fetch' });
+          }
+          const body = Buffer.from(await response.arrayBuffer());
+          return {
+            ok: () => response.ok,
+            status: () => response.status,
+            headers: () => Object.fromEntries(response.headers),
+            body: async () => body,
+            text: async () => body.toString('utf8'),
+            json: async () => JSON.parse(body.toString('utf8'))
+          };
+        }
+      };
+
+
+      await context.route('**/*', async (route) => {
+        const request = route.request();
+        if (SKIPPED_RESOURCES.has(request.resourceType())) {
+          return route.abort();
+        }
+
+        if (scenario.record) {
+          try {
+            const response = await route.fetch();
+            const body = await response.body();
+            await save(request.url(), {
+              status: response.status(),
+              contentType: response.headers()['content-type'] || 'application/octet-stream',
+              body
+            });
+            return route.fulfill({ response, body });
+          } catch (error) {
+            return route.abort();
+          }
+        }
+
+        const response = await fetch(`${origin}/page?url=${encodeURIComponent(request.url())}`);
+        if (response.headers.get('x-fixture-missing')) {
+          scenario.missing.push({ url: request.url(), type: request.resourceType() });
+        }
+        return route.fulfill({
+          status: response.status,
+          contentType: response.headers.get('content-type'),
+          body: Buffer.from(await response.arrayBuffer())
+        });
+      });
+    },
+
+    // Pages the browser asked for that the scenario has no recording of; other resources may go missing harmlessly
+    missingPages: () => scenario.missing.filter(request => request.type === 'document').map(request => request.url),
+
+    async saveManifest() {
+      await fs.writeFile(path.join(scenario.dir, 'pages.json'), `${JSON.stringify(scenario.pages, null, 2)}\n`);
+    },
+
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
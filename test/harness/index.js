@@ -0,0 +1,186 @@
+// test/harness/index.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Redis from 'ioredis';
+import Queue from 'bull';
+import { chromium } from '@playwright/test';
+import { startFixtureServer } from './fixtureServer.js';
+import { startMockLlm } from './mockLlm.js';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+// The harness empties this database before each run, so it must not be one the app uses
+const redisUrl = process.env.TEST_REDIS_URL || 'redis://127.0.0.1:6379/15';
+
+// Returns null when the harness can run here, otherwise why it cannot
+export async function checkEnvironment() {
+  try {
+    await fs.access(chromium.executablePath());
+  } catch (error) {
+    return 'Chromium is not installed (run "npx playwright install chromium")';
+  }
+
+  const redis = new Redis(redisUrl, { lazyConnect: true, connectTimeout: 2000, maxRetriesPerRequest: 0, retryStrategy: () => null });
+  redis.on('error', () => {});
+  try {
+    await redis.connect();
+    await redis.ping();
+    return null;
+  } catch (error) {
+    return `Redis is not reachable at ${redisUrl} (set TEST_REDIS_URL)`;
+  } finally {
+    redis.disconnect();
+  }
+}
+
+// The app reads its settings once, at import, so they are fixed here before any of it is loaded:
+// a local headless browser, Google as the only search provider, every LLM call sent to the mock and
+// no research archive.
+// Same-site crawling is off unless a scenario's `crawl` ({ maxDepth, maxPages }) turns it on; a pool of
+// pages comes from the profile's own pageConcurrency.
+function configureApp({ llmBaseURL, apiKey }) {
+  Object.assign(process.env, {
+    NODE_ENV: 'production',
+    REDIS_URL: redisUrl,
+    BROWSER_BACKEND: 'local',
+    BROWSER_HEADLESS: 'true',
+    SEARCH_PROVIDERS: 'google',
+    RESEARCH_MODE: 'pipeline',
+    LLM_MODEL: 'openai:gpt-4o-mini',
+    LLM_QUERY_MODEL: '',
+    LLM_EXTRACTION_MODEL: '',
+    LLM_SYNTHESIS_MODEL: '',
+    LLM_AGENT_MODEL: '',
+    LLM_PROVIDERS: 'openai',
+    OPENAI_BASE_URL: llmBaseURL,
+    OPENAI_API_KEY: apiKey,
+    LINKEDIN_ACCOUNTS: '[]',
+    DATABASE_URL: '',
+    CRAWL_MAX_DEPTH: '0',
+    PAGE_CONCURRENCY: '1',
+    DOMAIN_INTERVAL_MS: '0',
+    JOB_TIMEOUT_MS: '120000',
+    STAGEHAND_CACHE: 'false',
+    UNSUPPORTED_CLAIMS: 'flag'
+  });
+}
+
+export async function listScenarios() {
+  const entries = await fs.readdir(FIXTURES_DIR, { withFileTypes: true });
+  return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+}
+
+// The parts of a result a scenario pins down. Confidence scores, quotes and cache details are left out,
+// so tuning them does not mean re-recording every scenario.
+export function snapshotResult(result) {
+  return {
+    profile: result.profile,
+    contactInfo: result.contactInfo,
+    sources: result.sources,
+    claims: (result.claims || []).map(claim => ({
+      field: claim.field,
+      text: claim.text,
+      supported: claim.supported,
+      sources: claim.citations.map(citation => citation.source)
+    })),
+    identity: result.identity && {
+      employer: result.identity.employer,
+      location: result.identity.location,
+      sources: result.identity.sources,
+      rejected: result.identity.rejected.map(rejection => rejection.source)
+    },
+    partial: result.partial || null
+  };
+}
+
+// Starts the fixture server and mock LLM, then runs research jobs through the real queue processor
+// against them. Resolves to { skip } when Chromium or Redis is missing. With record set, pages come
+// from the live web and LLM replies from OpenAI (OPENAI_API_KEY), and save() keeps them as fixtures.
+export async function startHarness({ record = false } = {}) {
+  const skip = await checkEnvironment();
+  if (skip) return { skip };
+
+  const realApiKey = process.env.OPENAI_API_KEY;
+  if (record && !realApiKey) {
+    throw new Error('Recording needs OPENAI_API_KEY');
+  }
+
+  const pages = await startFixtureServer();
+  const llm = await startMockLlm({ apiKey: realApiKey });
+  configureApp({ llmBaseURL: llm.baseURL, apiKey: record ? realApiKey : 'harness' });
+
+  const { createResearchProcessor } = await import('../../src/services/researchJobService.js');
+  const { openBrowser } = await import('../../src/services/browserBackendService.js');
+  const { getProgressHistory } = await import('../../src/services/progressService.js');
+  const { getRedis, closeRedis } = await import('../../src/utils/redis.js');
+  const { crawlConfig } = await import('../../src/config/index.js');
+  const crawlDefaults = { ...crawlConfig };
+
+  await getRedis().flushdb();
+  const queue = new Queue(`harness-${process.pid}`, redisUrl);
+  queue.process(createResearchProcessor({
+    openBrowser: async (options = {}) => {
+      const browser = await openBrowser({ ...options, backend: 'local', headless: true });
+      await pages.routeBrowser(browser.stagehand.page.context());
+      return browser;
+    }
+  }));
+
+  let current = null;
+
+  return {
+    skip: null,
+
+    // Runs one scenario (or, recording, a new one from profile) and resolves to what the test checks
+    async run(name, { profile, crawl } = {}) {
+      const dir = path.join(FIXTURES_DIR, name);
+      if (!record) {
+        ({ profile, crawl } = JSON.parse(await fs.readFile(path.join(dir, 'scenario.json'), 'utf8')));
+      }
+      await pages.use(dir, { record });
+      await llm.use(dir, { record });
+      Object.assign(crawlConfig, crawlDefaults, crawl);
+      current = { dir, profile, crawl };
+
+      const job = await queue.add({ ...profile, tenantId: 'harness', forceRefresh: true }, { attempts: 1 });
+      let result = null;
+      let error = null;
+      try {
+        result = await job.finished();
+      } catch (failure) {
+        error = failure;
+      }
+
+      return {
+        result,
+        error,
+        snapshot: result && snapshotResult(result),
+        events: (await getProgressHistory(job.id)).map(event => event.type),
+        llmMisses: llm.misses(),
+        missingPages: pages.missingPages()
+      };
+    },
+
+    async expected(name) {
+      return JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, name, 'expected.json'), 'utf8'));
+    },
+
+    // Recording: keeps the last run's profile, pages and LLM replies, and its snapshot as the expected result
+    async save(snapshot) {
+      await fs.mkdir(current.dir, { recursive: true });
+      const scenario = { profile: current.profile, ...(current.crawl && { crawl: current.crawl }) };
+      await fs.writeFile(path.join(current.dir, 'scenario.json'), `${JSON.stringify(scenario, null, 2)}\n`);
+      await pages.saveManifest();
+      await llm.saveRecording();
+      await fs.writeFile(path.join(current.dir, 'expected.json'), `${JSON.stringify(snapshot, null, 2)}\n`);
+    },
+
+    async close() {
+      await queue.close();
+      await closeRedis();
+      await pages.close();
+      await llm.close();
+    }
+  };
+}
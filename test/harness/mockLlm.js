@@ -0,0 +1,119 @@
+// test/harness/mockLlm.js
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+
+// Requests are told apart by their response_format schema name ("search_queries", "professional_bio",
+// Stagehand's "Extraction", ...) and their full message text
+function describeRequest(body) {
+  const schema = body.response_format?.json_schema?.name || body.response_format?.type || 'text';
+  const text = body.messages.map(message => `${message.role}: ${typeof message.content === 'string' ? message.content : JSON.stringify(message.content)}`).join('\n');
+  const key = crypto.createHash('sha1').update(`${schema}\n${text}`).digest('hex');
+  return { schema, text, key };
+}
+
+// Stagehand follows each extraction with a refinement and a progress check. Replying with the extraction
+// itself and "completed" keeps scenarios down to one scripted reply per page.
+function stagehandBookkeeping({ schema, text }) {
+  if (schema === 'RefinedExtraction') {
+    const match = /Newly extracted content: ([\s\S]*)\nRefined content:$/.exec(text);
+    return match && JSON.parse(match[1]);
+  }
+  if (schema === 'Metadata') {
+    return { progress: 'Extraction complete', completed: true };
+  }
+  return null;
+}
+
+function completion(content) {
+  return {
+    id: 'chatcmpl-harness',
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: 'harness',
+    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+// An OpenAI-compatible chat completions endpoint answering from a scenario's llm.json:
+//   recorded: { [key]: { schema, prompt, reply } } - exact requests captured in record mode
+//   rules: [{ schema, contains, reply }] - hand-written replies for any request of that schema whose
+//     message text contains the given string (or every such request when contains is omitted)
+// Replies are JSON values, sent as the message content. Unanswerable requests fail with a 500 and are
+// listed by misses(). In record mode requests go to OpenAI with apiKey and the replies are kept.
+export async function startMockLlm({ apiKey } = {}) {
+  let scenario = null;
+
+  async function reply(request, body) {
+    const recorded = scenario.recorded[request.key];
+    if (recorded) return JSON.stringify(recorded.reply);
+
+    const rule = scenario.rules.find(candidate =>
+      candidate.schema === request.schema && (!candidate.contains || request.text.includes(candidate.contains)));
+    if (rule) return JSON.stringify(rule.reply);
+
+    const bookkeeping = stagehandBookkeeping(request);
+    if (bookkeeping) return JSON.stringify(bookkeeping);
+
+    if (scenario.record) {
+      const response = await fetch(OPENAI_URL, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) {
+        throw new Error(`OpenAI replied ${response.status}: ${await response.text()}`);
+      }
+      const content = (await response.json()).choices[0].message.content;
+      scenario.recorded[request.key] = { schema: request.schema, prompt: request.text.slice(0, 200), reply: JSON.parse(content) };
+      return content;
+    }
+    return null;
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', async () => {
+      try {
+        const body = JSON.parse(raw);
+        const request = describeRequest(body);
+        const content = await reply(request, body);
+        if (content === null) {
+          scenario.misses.push({ schema: request.schema, prompt: request.text.slice(0, 200) });
+          res.writeHead(500, { 'content-type': 'application/json' });
+          return res.end(JSON.stringify({ error: { message: `No scripted reply for a "${request.schema}" request` } }));
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(completion(content)));
+      } catch (error) {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: error.message } }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+
+    // Switches to a scenario's replies; record mode starts it with none
+    async use(dir, { record = false } = {}) {
+      const { recorded = {}, rules = [] } = record ? {} : JSON.parse(await fs.readFile(path.join(dir, 'llm.json'), 'utf8'));
+      scenario = { dir, record, recorded, rules, misses: [] };
+    },
+
+    misses: () => scenario.misses,
+
+    async saveRecording() {
+      const llm = { recorded: scenario.recorded, rules: scenario.rules };
+      await fs.writeFile(path.join(scenario.dir, 'llm.json'), `${JSON.stringify(llm, null, 2)}\n`);
+    },
+
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,42 @@
+// test/jsonSchema.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileJsonSchema, checkOutputSchema } from '../src/utils/jsonSchema.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    roles: { type: 'array', items: { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] } }
+  },
+  required: ['name']
+};
+
+test('compileJsonSchema passes valid data through', () => {
+  const data = { name: 'Jo Bloggs', roles: [{ title: 'Engineer' }] };
+  assert.deepEqual(compileJsonSchema(schema)(data), { success: true, data });
+});
+
+test('compileJsonSchema lists every problem with a dotted path', () => {
+  const result = compileJsonSchema(schema)({ roles: [{}] });
+  assert.equal(result.success, false);
+  assert.match(result.problems, /^\(root\): must have required property 'name'$/m);
+  assert.match(result.problems, /^roles\.0: must have required property 'title'$/m);
+});
+
+test('compileJsonSchema throws on an invalid schema', () => {
+  assert.throws(() => compileJsonSchema({ type: 'object', properties: { a: { type: 'nope' } } }));
+});
+
+test('checkOutputSchema accepts object schemas with properties', () => {
+  assert.equal(checkOutputSchema(schema), null);
+  // The same schema can be checked again, since compiled schemas are not kept
+  assert.equal(checkOutputSchema(schema), null);
+});
+
+test('checkOutputSchema describes unusable schemas', () => {
+  assert.equal(checkOutputSchema(null), 'schema must be a JSON Schema object');
+  assert.equal(checkOutputSchema([]), 'schema must be a JSON Schema object');
+  assert.equal(checkOutputSchema({ type: 'string' }), 'schema must describe an object with properties');
+  assert.match(checkOutputSchema({ type: 'object', properties: { a: { type: 'nope' } } }), /^invalid JSON Schema: /);
+});
@@ -0,0 +1,43 @@
+// test/linkedIn.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LinkedInService } from '../src/services/linkedInService.js';
+
+// A service whose page shows the given challenges one after another, then none
+function serviceShowing(challenges, onChallenge) {
+  const service = new LinkedInService({ page: {} }, { onChallenge });
+  const remaining = [...challenges];
+  service.detectChallenge = async () => remaining.shift() || null;
+  service.waitForNavigationSafely = async () => {};
+  service.submitPin = async () => {};
+  return service;
+}
+
+function operator(resolution) {
+  const handle = async () => resolution;
+  handle.closed = [];
+  handle.close = async (status) => handle.closed.push(status);
+  return handle;
+}
+
+test('passChallenge closes the challenge as passed once LinkedIn lets the job through', async () => {
+  const onChallenge = operator({ pin: '123456' });
+  await serviceShowing([{ type: 'pin', url: 'https://www.linkedin.com/checkpoint' }], onChallenge)
+    .passChallenge({ type: 'pin', url: 'https://www.linkedin.com/checkpoint' });
+  assert.deepEqual(onChallenge.closed, ['passed']);
+});
+
+test('passChallenge closes the challenge as failed when it keeps showing', async () => {
+  const onChallenge = operator({ solved: true });
+  const captcha = { type: 'captcha', url: 'https://www.linkedin.com/checkpoint' };
+  await assert.rejects(
+    serviceShowing([captcha, captcha, captcha], onChallenge).passChallenge(captcha),
+    /still showing after 3 operator responses/
+  );
+  assert.deepEqual(onChallenge.closed, ['failed']);
+});
+
+test('passChallenge works with handlers that do not track outcomes', async () => {
+  const service = serviceShowing([], async () => ({ solved: true }));
+  await service.passChallenge({ type: 'captcha', url: 'https://www.linkedin.com/checkpoint' });
+});
@@ -0,0 +1,23 @@
+// test/research.test.js
+// End-to-end research runs against recorded scenarios in test/fixtures; see "Testing" in the README
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, listScenarios } from './harness/index.js';
+
+// Without Chromium or Redis every scenario is reported as skipped, with the reason
+const harness = await startHarness();
+if (!harness.skip) {
+  after(() => harness.close());
+}
+
+for (const name of await listScenarios()) {
+  test(`researches the ${name} scenario`, { skip: harness.skip || false }, async () => {
+    const run = await harness.run(name);
+
+    assert.deepEqual(run.llmMisses, [], 'every LLM request has a scripted or recorded reply');
+    assert.deepEqual(run.missingPages, [], 'every page the browser loaded was recorded');
+    assert.equal(run.error, null);
+    assert.equal(run.events.at(-1), 'research:completed');
+    assert.deepEqual(run.snapshot, await harness.expected(name));
+  });
+}
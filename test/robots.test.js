@@ -0,0 +1,85 @@
+// test/robots.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { getRobots } from '../src/utils/robots.js';
+
+const ROBOTS = `# Example rules
+User-agent: googlebot
+Disallow: /
+
+User-agent: otherbot
+User-agent: *
+Disallow: /private
+Allow: /private/public$
+Disallow: /*.pdf$
+Crawl-delay: 3
+`;
+
+// Serves ROBOTS on /robots.txt and counts how often it was asked for; with missing set, every path is a 404
+async function startSite({ missing = false } = {}) {
+  const site = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    site.requests++;
+    if (missing || req.url !== '/robots.txt') {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'content-type': 'text/plain' });
+    res.end(ROBOTS);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  after(() => new Promise(resolve => server.close(resolve)));
+  site.origin = `http://127.0.0.1:${server.address().port}`;
+  return site;
+}
+
+test('getRobots applies the rules for every user agent', async () => {
+  const { origin } = await startSite();
+  const robots = await getRobots(`${origin}/`);
+
+  assert.equal(robots.allows(`${origin}/about`), true);
+  assert.equal(robots.allows(`${origin}/private/notes`), false);
+  assert.equal(robots.allows(`${origin}/private/public`), true, 'the longer Allow rule wins');
+  assert.equal(robots.allows(`${origin}/private/public/more`), false, '$ anchors the end of the path');
+  assert.equal(robots.allows(`${origin}/files/cv.pdf`), false);
+  assert.equal(robots.allows(`${origin}/files/cv.pdf?download=1`), true);
+  assert.equal(robots.crawlDelay, 3);
+});
+
+test('getRobots reads robots.txt once per origin', async () => {
+  const site = await startSite();
+  await getRobots(`${site.origin}/a`);
+  await getRobots(`${site.origin}/b`);
+  assert.equal(site.requests, 1);
+});
+
+test('getRobots allows everything when robots.txt is missing or unreachable', async () => {
+  const { origin } = await startSite({ missing: true });
+  const robots = await getRobots(`${origin}/`);
+  assert.equal(robots.allows(`${origin}/private`), true);
+  assert.equal(robots.crawlDelay, null);
+
+  const unreachable = await getRobots('http://127.0.0.1:9/');
+  assert.equal(unreachable.allows('http://127.0.0.1:9/anything'), true);
+});
+
+test('getRobots reads robots.txt through the page\'s browser when given one', async () => {
+  const requested = [];
+  // Stands in for a Playwright page; its context's request client is what carries the job's proxy
+  const page = {
+    context: () => ({
+      request: {
+        get: async (url) => {
+          requested.push(url);
+          return { ok: () => true, status: () => 200, text: async () => ROBOTS, json: async () => null };
+        }
+      }
+    })
+  };
+
+  const robots = await getRobots('https://proxied.example/about', { page });
+  assert.deepEqual(requested, ['https://proxied.example/robots.txt']);
+  assert.equal(robots.allows('https://proxied.example/private/notes'), false);
+  assert.equal(robots.crawlDelay, 3);
+});
@@ -0,0 +1,74 @@
+// test/synthesis.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// An OpenAI-compatible endpoint that, like a real provider, cuts its reply off at max_tokens
+// (counted here as four characters per token)
+let reply = null;
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const request = JSON.parse(body);
+    requests.push(request);
+    const limit = request.max_tokens * 4;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      id: 'chatcmpl-test',
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: request.model,
+      choices: [{
+        index: 0,
+        finish_reason: reply.length > limit ? 'length' : 'stop',
+        message: { role: 'assistant', content: reply.slice(0, limit) }
+      }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    }));
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+
+process.env.OPENAI_API_KEY = 'test';
+process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+process.env.LLM_PROVIDERS = 'openai';
+const { synthesizeProfile } = await import('../src/services/researchSteps.js');
+
+test('synthesizeProfile leaves room for a long claims payload', async () => {
+  const findings = Array.from({ length: 10 }, (_, index) => ({
+    source: `https://example.com/${index + 1}`,
+    content: `Jo Bloggs led robotics project ${index + 1} at Acme Robotics, shipping a warehouse arm used across three continents and mentoring the controls team through its first production launch.`
+  }));
+  const sentences = Array.from({ length: 24 }, (_, index) =>
+    `Jo Bloggs led robotics project ${index % 10 + 1} at Acme Robotics and mentored the controls team through launch ${index + 1}.`);
+  const payload = {
+    bio: sentences.join(' '),
+    currentRole: 'Head of Robotics at Acme Robotics',
+    expertise: ['Robotics', 'Controls'],
+    achievements: ['Shipped a warehouse arm used across three continents'],
+    recentActivity: 'Mentoring the controls team',
+    keyPoints: ['Leads robotics at Acme'],
+    claims: sentences.map((text, index) => ({
+      field: 'bio',
+      text,
+      citations: [1, 2].map(offset => {
+        const sourceId = (index + offset) % 10 + 1;
+        return { sourceId, quote: findings[sourceId - 1].content };
+      })
+    }))
+  };
+  reply = JSON.stringify(payload);
+  // Longer than the default completion budget of 1500 tokens
+  assert.ok(reply.length > 1500 * 4);
+
+  const { bio, claims, citableSources } = await synthesizeProfile(findings, { name: 'Jo Bloggs', context: 'Acme Robotics' });
+
+  assert.equal(requests.length, 1);
+  assert.equal(bio.bio, payload.bio);
+  assert.equal(claims.length, sentences.length);
+  assert.deepEqual(claims[0].citations, payload.claims[0].citations);
+  assert.equal(citableSources.length, 10);
+});
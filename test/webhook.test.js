@@ -0,0 +1,39 @@
+// test/webhook.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { checkWebhookTarget, signPayload } from '../src/services/webhookService.js';
+
+test('checkWebhookTarget accepts public addresses', async () => {
+  assert.equal(await checkWebhookTarget('https://93.184.216.34/hooks/research'), null);
+  assert.equal(await checkWebhookTarget('http://[2606:2800:220:1::]/hook'), null);
+});
+
+test('checkWebhookTarget refuses loopback, private and link-local addresses', async () => {
+  for (const url of [
+    'http://127.0.0.1:3333/research',
+    'http://localhost/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.1.2.3/hook',
+    'https://172.20.0.5/hook',
+    'https://192.168.1.10/hook',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:10.0.0.1]/hook'
+  ]) {
+    assert.match(await checkWebhookTarget(url), /resolves to the internal address/, url);
+  }
+});
+
+test('checkWebhookTarget refuses other protocols', async () => {
+  assert.equal(await checkWebhookTarget('ftp://93.184.216.34/hook'), 'unsupported protocol "ftp:"');
+});
+
+test('signPayload is the HMAC-SHA256 of the timestamp and body', () => {
+  const body = '{"event":"research.completed"}';
+  const expected = createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+  assert.equal(signPayload('secret', '1700000000', body), `sha256=${expected}`);
+});